@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProxy, listen } = require('./helpers');
+
+// Sem PROXY_API_KEYS/PROXY_JWKS_FILE e sem opt-in explícito o proxy não fica aberto
+const app = loadProxy({ PROXY_ALLOW_ANONYMOUS: '' });
+
+test('sem estratégia configurada as rotas autenticadas respondem 401', async t => {
+  const server = await listen(app);
+  t.after(() => server.close());
+
+  const connect = await server.request('POST', '/connect', {
+    body: { connectionId: 'c', mongoUrl: 'mongodb://127.0.0.1:1/x', database: 'x' }
+  });
+  assert.equal(connect.status, 401);
+  assert.equal(connect.body.code, 'UNAUTHENTICATED');
+
+  assert.equal((await server.request('GET', '/connections')).status, 401);
+});
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadProxy, listen, fakeCursor, fakeConnection } = require('./helpers');
+
+// Par de chaves RSA do "emissor" dos JWTs; o proxy só conhece a pública (JWKS em arquivo)
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwksDir = fs.mkdtempSync(path.join(os.tmpdir(), 'proxy-jwks-'));
+const jwksFile = path.join(jwksDir, 'jwks.json');
+fs.writeFileSync(jwksFile, JSON.stringify({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'k1', alg: 'RS256' }] }));
+
+const scopes = { connectionIds: ['auth-*'], databases: '*', collections: ['orders'], operations: ['find'] };
+const app = loadProxy({
+  PROXY_ALLOW_ANONYMOUS: 'false',
+  PROXY_JWKS_FILE: jwksFile,
+  PROXY_API_KEYS: JSON.stringify([
+    { id: 'app', key: 'secret-key', scopes },
+    { id: 'signer', hmacSecret: 'hmac-secret', scopes },
+    { id: 'limited', key: 'limited-key', scopes: { connectionIds: '*', collections: '*', operations: ['find'] } }
+  ])
+});
+const { internals } = app;
+
+test.after(() => fs.rmSync(jwksDir, { recursive: true, force: true }));
+
+internals.activeConnections.set('auth-1', fakeConnection({ find: () => fakeCursor([{ a: 1 }]) }));
+
+const queryBody = { connectionId: 'auth-1', collection: 'orders', operation: 'find', query: {} };
+
+function signJwt(claims, { kid = 'k1', key = privateKey } = {}) {
+  const header = Buffer.from(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid })).toString('base64url');
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), key).toString('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+function hmacHeaders(method, url, body, { secret = 'hmac-secret', timestamp = Date.now() } = {}) {
+  const bodyHash = crypto.createHash('sha256').update(body).digest('hex');
+  const signature = crypto.createHmac('sha256', secret)
+    .update(`${method}\n${url}\n${timestamp}\n${bodyHash}`)
+    .digest('hex');
+  return { 'Content-Type': 'application/json', Authorization: `HMAC signer:${signature}`, 'X-Timestamp': String(timestamp) };
+}
+
+test('scopeAllows: "*", prefixo e lista ausente (nega)', () => {
+  assert.equal(internals.scopeAllows('*', 'x'), true);
+  assert.equal(internals.scopeAllows(['auth-*'], 'auth-9'), true);
+  assert.equal(internals.scopeAllows(['auth-*'], 'other'), false);
+  assert.equal(internals.scopeAllows(['find', 'aggregate'], 'aggregate'), true);
+  assert.equal(internals.scopeAllows(undefined, 'x'), false);
+  assert.equal(internals.scopeAllows(null, 'x'), false);
+});
+
+test('authorize lança 403 para alvo fora do escopo, inclusive listas ausentes', () => {
+  const principal = { id: 'limited', scopes: { connectionIds: '*', operations: ['find'] } };
+  assert.doesNotThrow(() => internals.authorize(principal, { connectionId: 'c', operation: 'find' }));
+  assert.throws(() => internals.authorize(principal, { operation: 'deleteMany' }), { status: 403, code: 'FORBIDDEN' });
+  assert.throws(() => internals.authorize(principal, { database: 'test' }), { status: 403 });
+});
+
+test('sem credenciais responde 401', async t => {
+  const server = await listen(app);
+  t.after(() => server.close());
+
+  const response = await server.request('POST', '/query', { body: queryBody });
+  assert.equal(response.status, 401);
+  assert.equal(response.body.code, 'UNAUTHENTICATED');
+});
+
+test('API key válida (Bearer ou X-API-Key) passa; inválida responde 401', async t => {
+  const server = await listen(app);
+  t.after(() => server.close());
+
+  assert.equal((await server.request('POST', '/query', { body: queryBody, headers: { Authorization: 'Bearer secret-key' } })).status, 200);
+  assert.equal((await server.request('POST', '/query', { body: queryBody, headers: { 'X-API-Key': 'secret-key' } })).status, 200);
+  assert.equal((await server.request('POST', '/query', { body: queryBody, headers: { 'X-API-Key': 'wrong' } })).status, 401);
+});
+
+test('escopos limitam operação e collection (403)', async t => {
+  const server = await listen(app);
+  t.after(() => server.close());
+  const headers = { 'X-API-Key': 'secret-key' };
+
+  const write = await server.request('POST', '/query', { body: { ...queryBody, operation: 'deleteMany', filter: { a: 1 } }, headers });
+  assert.equal(write.status, 403);
+  const other = await server.request('POST', '/query', { body: { ...queryBody, collection: 'users' }, headers });
+  assert.equal(other.status, 403);
+  // 'limited' não declarou databases: lista ausente nega acesso
+  const noDatabases = await server.request('POST', '/query', { body: queryBody, headers: { 'X-API-Key': 'limited-key' } });
+  assert.equal(noDatabases.status, 403);
+});
+
+test('HMAC: assinatura sobre método, URL, timestamp e corpo', async t => {
+  const server = await listen(app);
+  t.after(() => server.close());
+  const body = JSON.stringify(queryBody);
+
+  const valid = await server.request('POST', '/query', { body, headers: hmacHeaders('POST', '/query', body) });
+  assert.equal(valid.status, 200);
+
+  const tampered = await server.request('POST', '/query', {
+    body: JSON.stringify({ ...queryBody, query: { a: 2 } }),
+    headers: hmacHeaders('POST', '/query', body)
+  });
+  assert.equal(tampered.status, 401);
+
+  const stale = await server.request('POST', '/query', {
+    body,
+    headers: hmacHeaders('POST', '/query', body, { timestamp: Date.now() - 3600 * 1000 })
+  });
+  assert.equal(stale.status, 401);
+
+  const wrongSecret = await server.request('POST', '/query', { body, headers: hmacHeaders('POST', '/query', body, { secret: 'x' }) });
+  assert.equal(wrongSecret.status, 401);
+});
+
+test('JWT: assinatura, expiração e claim de escopos', async t => {
+  const server = await listen(app);
+  t.after(() => server.close());
+  const bearer = token => ({ Authorization: `Bearer ${token}` });
+  const exp = Math.floor(Date.now() / 1000) + 60;
+
+  const valid = await server.request('POST', '/query', {
+    body: queryBody,
+    headers: bearer(signJwt({ sub: 'svc', exp, mongo_proxy: scopes }))
+  });
+  assert.equal(valid.status, 200);
+
+  const expired = await server.request('POST', '/query', {
+    body: queryBody,
+    headers: bearer(signJwt({ sub: 'svc', exp: exp - 120, mongo_proxy: scopes }))
+  });
+  assert.equal(expired.status, 401);
+
+  const withoutScopes = await server.request('POST', '/query', { body: queryBody, headers: bearer(signJwt({ sub: 'svc', exp })) });
+  assert.equal(withoutScopes.status, 401);
+
+  const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const forged = await server.request('POST', '/query', {
+    body: queryBody,
+    headers: bearer(signJwt({ sub: 'svc', exp, mongo_proxy: scopes }, { key: otherKey }))
+  });
+  assert.equal(forged.status, 401);
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { loadProxy, listen, fakeConnection } = require('./helpers');
+
+const app = loadProxy();
+const { internals } = app;
+
+// Collection com bulkWrite falso; `respond` decide o resultado a partir dos modelos recebidos
+function bulkCollection(respond) {
+  const calls = [];
+  return {
+    calls,
+    collection: {
+      async bulkWrite(models, options) {
+        calls.push({ models, options });
+        return respond(models, options);
+      }
+    }
+  };
+}
+
+const okResult = models => ({
+  insertedCount: models.filter(model => model.insertOne).length,
+  matchedCount: 1,
+  modifiedCount: 1,
+  deletedCount: 1,
+  upsertedCount: 0,
+  insertedIds: { 0: new ObjectId('5f0000000000000000000001') },
+  upsertedIds: {}
+});
+
+test('/bulk converte operações em write models com o mesmo processamento do /query', async t => {
+  const bulk = bulkCollection(okResult);
+  internals.activeConnections.set('bulk', fakeConnection(bulk.collection));
+  const server = await listen(app);
+  t.after(() => server.close());
+
+  const response = await server.request('POST', '/bulk', {
+    body: {
+      connectionId: 'bulk',
+      collection: 'orders',
+      ordered: false,
+      operations: [
+        { insertOne: { document: { at: '2024-01-02T03:04:05Z' } } },
+        { updateOne: { filter: "{ _id: ObjectId('5f0000000000000000000002') }", update: { $set: { a: 1 } }, upsert: true } },
+        { deleteMany: { filter: { status: 'old' } } }
+      ]
+    }
+  });
+
+  assert.equal(response.status, 200);
+  const [{ models, options }] = bulk.calls;
+  assert.equal(options.ordered, false);
+  assert.ok(models[0].insertOne.document.at instanceof Date);
+  assert.ok(models[1].updateOne.filter._id instanceof ObjectId);
+  assert.equal(models[1].updateOne.upsert, true);
+  assert.deepEqual(models[2], { deleteMany: { filter: { status: 'old' } } });
+  assert.deepEqual(response.body.summary, { insertedCount: 1, matchedCount: 1, modifiedCount: 1, deletedCount: 1, upsertedCount: 0 });
+  assert.deepEqual(response.body.results.map(result => result.status), ['ok', 'ok', 'ok']);
+});
+
+test('/bulk responde 207 com writeErrors e operações não executadas (ordered)', async t => {
+  const bulk = bulkCollection(() => {
+    throw Object.assign(new Error('E11000 duplicate key'), {
+      name: 'MongoBulkWriteError',
+      result: { insertedCount: 1, insertedIds: { 0: 1 } },
+      writeErrors: [{ index: 1, code: 11000, errmsg: 'E11000 duplicate key' }]
+    });
+  });
+  internals.activeConnections.set('bulk', fakeConnection(bulk.collection));
+  const server = await listen(app);
+  t.after(() => server.close());
+
+  const response = await server.request('POST', '/bulk', {
+    body: {
+      connectionId: 'bulk',
+      collection: 'orders',
+      operations: [
+        { insertOne: { document: { _id: 1 } } },
+        { insertOne: { document: { _id: 1 } } },
+        { insertOne: { document: { _id: 2 } } }
+      ]
+    }
+  });
+
+  assert.equal(response.status, 207);
+  assert.equal(response.body.success, false);
+  assert.deepEqual(response.body.writeErrors, [{ index: 1, code: 11000, message: 'E11000 duplicate key' }]);
+  assert.deepEqual(response.body.results.map(result => result.status), ['ok', 'error', 'notExecuted']);
+});
+
+test('/bulk valida cada modelo antes de escrever', async t => {
+  const bulk = bulkCollection(okResult);
+  internals.activeConnections.set('bulk', fakeConnection(bulk.collection));
+  const server = await listen(app);
+  t.after(() => server.close());
+
+  const response = await server.request('POST', '/bulk', {
+    body: {
+      connectionId: 'bulk',
+      collection: 'orders',
+      operations: [
+        { deleteOne: {} },
+        { insertOne: { document: { a: 1 } }, deleteOne: { filter: {} } },
+        { dropCollection: {} },
+        { updateOne: { filter: {}, update: { a: 1 } } }
+      ]
+    }
+  });
+
+  assert.equal(response.status, 400);
+  assert.deepEqual(response.body.errors.map(error => error.path), [
+    '/operations/0/deleteOne/filter',
+    '/operations/1',
+    '/operations/2',
+    '/operations/3/updateOne/update'
+  ]);
+  assert.equal(bulk.calls.length, 0);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProxy, listen, fakeCursor, fakeConnection } = require('./helpers');
+
+const app = loadProxy({ PROXY_CACHE_MAX_TTL_MS: '60000', PROXY_CURSOR_MAX_BATCH_SIZE: '500' });
+const { internals } = app;
+
+// Collection que conta as leituras que chegam ao "driver"
+function countingCollection() {
+  const state = { reads: 0 };
+  state.collection = {
+    find() {
+      state.reads++;
+      return fakeCursor([{ n: state.reads }]);
+    },
+    aggregate() {
+      state.reads++;
+      return fakeCursor([]);
+    },
+    async insertOne() {
+      return { acknowledged: true, insertedId: 1 };
+    }
+  };
+  return state;
+}
+
+async function setup(t, connectionId) {
+  const state = countingCollection();
+  internals.activeConnections.set(connectionId, fakeConnection(state.collection));
+  const server = await listen(app);
+  t.after(() => server.close());
+  state.query = (body, headers) => server.request('POST', '/query', { headers, body: { connectionId, collection: 'orders', ...body } });
+  state.status = async () => (await server.request('GET', '/status')).body.cache;
+  return state;
+}
+
+test('buildCacheKey ignora a ordem das opções mas não a do filtro', () => {
+  const key = params => internals.buildCacheKey('c', 'orders', 'find', params);
+  assert.equal(key({ query: { a: 1 }, options: { limit: 1, sort: { a: 1 } } }), key({ query: { a: 1 }, options: { sort: { a: 1 }, limit: 1 } }));
+  assert.notEqual(key({ query: { a: 1, b: 2 } }), key({ query: { b: 2, a: 1 } }));
+  assert.notEqual(internals.buildCacheKey('c', 'orders', 'find', {}), internals.buildCacheKey('d', 'orders', 'find', {}));
+});
+
+test('writtenNamespaces inclui destinos de $out e $merge', () => {
+  const connection = { config: { database: 'shop' } };
+  assert.deepEqual(internals.writtenNamespaces(connection, 'orders', 'find', {}), []);
+  assert.deepEqual(internals.writtenNamespaces(connection, 'orders', 'insertOne', {}), ['shop.orders']);
+  assert.deepEqual(
+    internals.writtenNamespaces(connection, 'orders', 'aggregate', { pipeline: [{ $match: {} }, { $merge: { into: { db: 'reports', coll: 'daily' } } }] }),
+    ['shop.orders', 'reports.daily']
+  );
+  assert.deepEqual(
+    internals.writtenNamespaces(connection, 'orders', 'aggregate', { pipeline: [{ $out: 'copy' }] }),
+    ['shop.orders', 'shop.copy']
+  );
+});
+
+test('cache é opt-in e respeita no-cache/no-store', async t => {
+  const state = await setup(t, 'cache-1');
+  const find = { operation: 'find', query: { a: 1 } };
+
+  await state.query(find);
+  await state.query(find);
+  assert.equal(state.reads, 2);
+
+  const miss = await state.query({ ...find, cache: true });
+  const hit = await state.query({ ...find, cache: true });
+  assert.equal(state.reads, 3);
+  assert.equal(miss.body.diagnostics.cache, 'miss');
+  assert.equal(hit.body.diagnostics.cache, 'hit');
+  assert.deepEqual(hit.body.data, miss.body.data);
+
+  const viaHeader = await state.query(find, { 'Cache-Control': 'max-age=30' });
+  assert.equal(viaHeader.body.diagnostics.cache, 'hit');
+
+  const refreshed = await state.query({ ...find, cache: true }, { 'Cache-Control': 'no-cache' });
+  assert.equal(refreshed.body.diagnostics.cache, 'miss');
+  assert.equal(state.reads, 4);
+
+  const skipped = await state.query({ ...find, cache: true }, { 'Cache-Control': 'no-store' });
+  assert.equal(skipped.body.diagnostics.cache, null);
+  assert.equal(state.reads, 5);
+
+  const stats = await state.status();
+  assert.equal(stats.enabled, true);
+  assert.ok(stats.hits >= 2);
+});
+
+test('escritas invalidam a collection', async t => {
+  const state = await setup(t, 'cache-2');
+  const find = { operation: 'find', query: {}, cache: { ttlMS: 30000 } };
+
+  await state.query(find);
+  assert.equal((await state.query(find)).body.diagnostics.cache, 'hit');
+
+  await state.query({ operation: 'insertOne', document: { a: 1 } });
+  assert.equal((await state.query(find)).body.diagnostics.cache, 'miss');
+});
+
+test('$out em resultMode cursor e stream invalida a collection de destino', async t => {
+  const state = await setup(t, 'cache-3');
+  const readCopy = { collection: 'copy', operation: 'find', query: {}, cache: true };
+
+  for (const resultMode of ['cursor', 'stream']) {
+    await state.query(readCopy);
+    assert.equal((await state.query(readCopy)).body.diagnostics.cache, 'hit');
+
+    const written = await state.query({ operation: 'aggregate', pipeline: [{ $out: 'copy' }], resultMode });
+    assert.equal(written.status, 200, resultMode);
+    assert.equal((await state.query(readCopy)).body.diagnostics.cache, 'miss', resultMode);
+  }
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProxy, listen, fakeCursor, fakeConnection } = require('./helpers');
+
+const app = loadProxy();
+const { internals } = app;
+const { ObjectId, Long, Decimal128 } = require('mongodb');
+
+const coerce = (value, coercion) => internals.processMongoValue(value, internals.resolveCoercionPolicy(coercion));
+
+test('padrão converte apenas strings ISO completas em Date', () => {
+  const result = coerce({ at: '2024-01-02T03:04:05Z', day: '2024-01-02', code: '123' });
+  assert.ok(result.at instanceof Date);
+  assert.equal(result.day, '2024-01-02');
+  assert.equal(result.code, '123');
+});
+
+test("coercion 'off' mantém strings ISO, mas ainda aceita ISODate() e Extended JSON", () => {
+  const result = coerce({
+    at: '2024-01-02T03:04:05Z',
+    explicit: 'ISODate("2024-01-02T03:04:05Z")',
+    wrapped: { $date: '2024-01-02T03:04:05Z' }
+  }, 'off');
+  assert.equal(result.at, '2024-01-02T03:04:05Z');
+  assert.ok(result.explicit instanceof Date);
+  assert.ok(result.wrapped instanceof Date);
+});
+
+test('lista de campos converte só os caminhos indicados, atravessando operadores', () => {
+  const result = coerce({ createdAt: { $gte: '2024-01-02' }, label: '2024-01-02T03:04:05Z' }, ['createdAt']);
+  assert.ok(result.createdAt.$gte instanceof Date);
+  assert.equal(result.label, '2024-01-02T03:04:05Z');
+});
+
+test('mapa de tipos por caminho com padrão "*"', () => {
+  const result = coerce({
+    storeId: '5f0000000000000000000001',
+    sku: '2024-01-02T03:04:05Z',
+    qty: '12',
+    big: '9007199254740993',
+    price: '10.25',
+    items: [{ at: '2024-01-02T03:04:05Z' }]
+  }, { storeId: 'objectId', sku: 'string', qty: 'number', big: 'long', price: 'decimal', '*': 'date' });
+
+  assert.ok(result.storeId instanceof ObjectId);
+  assert.equal(result.sku, '2024-01-02T03:04:05Z');
+  assert.equal(result.qty, 12);
+  assert.ok(result.big instanceof Long);
+  assert.ok(result.price instanceof Decimal128);
+  assert.ok(result.items[0].at instanceof Date);
+});
+
+test('hint explícito com valor inválido falha em vez de manter a string', () => {
+  assert.throws(() => coerce({ storeId: 'abc' }, { storeId: 'objectId' }), { status: 400, code: 'VALIDATION_FAILED' });
+  assert.throws(() => coerce({ at: 'ontem' }, ['at']), /não é uma data válida/);
+  assert.throws(() => coerce({ qty: ' ' }, { qty: 'number' }), /não é um número válido/);
+});
+
+test('políticas inválidas são recusadas', () => {
+  assert.throws(() => internals.resolveCoercionPolicy({ a: 'uuid' }), /tipo inválido para 'a'/);
+  assert.throws(() => internals.resolveCoercionPolicy([1]), /apenas caminhos/);
+  assert.throws(() => internals.resolveCoercionPolicy('sometimes'), /coercion inválido/);
+});
+
+test('/query aplica a política ao documento inserido', async t => {
+  let inserted = null;
+  internals.activeConnections.set('coercion', fakeConnection({
+    async insertOne(document) {
+      inserted = document;
+      return { acknowledged: true, insertedId: 1 };
+    },
+    find: () => fakeCursor([])
+  }));
+  const server = await listen(app);
+  t.after(() => server.close());
+
+  const response = await server.request('POST', '/query', {
+    body: {
+      connectionId: 'coercion',
+      collection: 'events',
+      operation: 'insertOne',
+      document: { title: '2024-01-02T03:04:05Z', at: '2024-01-02T03:04:05Z' },
+      coercion: ['at']
+    }
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(inserted.title, '2024-01-02T03:04:05Z');
+  assert.ok(inserted.at instanceof Date);
+});
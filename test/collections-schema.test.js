@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { loadProxy, listen, fakeCursor, fakeConnection } = require('./helpers');
+
+const app = loadProxy();
+const { internals } = app;
+
+// db falso com listCollections e collections por nome
+function fakeDb(collections, infos) {
+  return {
+    databaseName: 'test',
+    listCollections: () => fakeCursor(infos),
+    collection: name => ({ collectionName: name, ...collections[name] })
+  };
+}
+
+test('inferSchema infere caminhos, tipos, ocorrência e exemplos', () => {
+  const id = new ObjectId();
+  const fields = internals.inferSchema([
+    { _id: id, name: 'Ana', tags: ['a', 'b'], address: { city: 'Recife' } },
+    { _id: 'legacy', name: 'Bia', tags: [] },
+    { _id: 3, name: 'x'.repeat(150) }
+  ]);
+  const byPath = Object.fromEntries(fields.map(field => [field.path, field]));
+
+  assert.deepEqual(fields.map(field => field.path), ['_id', 'address', 'address.city', 'name', 'tags', 'tags[]']);
+  assert.deepEqual(byPath._id.types, { objectId: 1, string: 1, int: 1 });
+  assert.equal(byPath.name.percentage, 100);
+  assert.equal(byPath.address.percentage, 33.3);
+  assert.equal(byPath.address.examples.length, 0);
+  assert.deepEqual(byPath['tags[]'], { path: 'tags[]', types: { string: 2 }, count: 1, percentage: 33.3, examples: ['a', 'b'] });
+  assert.equal(byPath.name.examples[2].length, 101);
+});
+
+test('/collections usa $collStats em paralelo e cai no estimatedDocumentCount', async t => {
+  let countDocumentsCalled = false;
+  const db = fakeDb({
+    orders: {
+      aggregate: pipeline => {
+        assert.deepEqual(pipeline, [{ $collStats: { storageStats: {} } }]);
+        return fakeCursor([{ storageStats: { count: 10, size: 2000, avgObjSize: 200, storageSize: 4096, totalIndexSize: 1024, nindexes: 2 } }]);
+      },
+      async countDocuments() { countDocumentsCalled = true; }
+    },
+    legacy: {
+      aggregate: () => ({ async toArray() { throw new Error('$collStats não suportado'); } }),
+      async estimatedDocumentCount() { return 7; }
+    },
+    recent: {
+      async estimatedDocumentCount() { return 3; }
+    }
+  }, [{ name: 'orders', type: 'collection' }, { name: 'legacy', type: 'collection' }, { name: 'recent', type: 'view' }]);
+
+  internals.activeConnections.set('stats', fakeConnection({}, { db }));
+  const server = await listen(app);
+  t.after(() => server.close());
+
+  const response = await server.request('GET', '/collections/stats');
+  assert.equal(response.status, 200);
+  const [orders, legacy, recent] = response.body.collections;
+
+  assert.deepEqual(orders, {
+    name: 'orders', type: 'collection', documentCount: 10, sizeBytes: 2000, avgDocSize: 200,
+    storageSizeBytes: 4096, totalIndexSizeBytes: 1024, indexCount: 2
+  });
+  assert.equal(legacy.documentCount, 7);
+  assert.equal(legacy.sizeBytes, null);
+  assert.equal(recent.documentCount, 3);
+  assert.equal(countDocumentsCalled, false);
+});
+
+test('com escopo de tenant só a contagem filtrada é devolvida', async t => {
+  let counted = null;
+  const db = fakeDb({
+    orders: {
+      aggregate: () => { throw new Error('$collStats não deveria rodar'); },
+      async countDocuments(filter) { counted = filter; return 4; }
+    }
+  }, [{ name: 'orders', type: 'collection' }]);
+
+  internals.activeConnections.set('tenant-stats', fakeConnection({}, {
+    db,
+    tenant: [{ bindings: { tenantId: 't1' }, collections: '*' }]
+  }));
+  const server = await listen(app);
+  t.after(() => server.close());
+
+  const response = await server.request('GET', '/collections/tenant-stats');
+  assert.deepEqual(response.body.collections[0], {
+    name: 'orders', type: 'collection', documentCount: 4, sizeBytes: null, avgDocSize: null, tenantScoped: true
+  });
+  assert.deepEqual(counted, { tenantId: 't1' });
+});
+
+test('/schema amostra com $sample limitado e respeita o tenant', async t => {
+  const pipelines = [];
+  internals.activeConnections.set('schema', fakeConnection({
+    aggregate(pipeline) {
+      pipelines.push(pipeline);
+      return fakeCursor([{ a: 1, when: new Date('2024-01-01T00:00:00Z') }, { a: 'x' }]);
+    }
+  }, { tenant: [{ bindings: { tenantId: 't1' }, collections: ['orders'] }] }));
+  const server = await listen(app);
+  t.after(() => server.close());
+
+  const response = await server.request('GET', '/schema/schema/orders?sampleSize=50000');
+  assert.equal(response.status, 200);
+  assert.equal(response.body.sampleSize, 1000);
+  assert.equal(response.body.sampled, 2);
+  assert.deepEqual(pipelines[0], [{ $match: { tenantId: 't1' } }, { $sample: { size: 1000 } }]);
+
+  const a = response.body.fields.find(field => field.path === 'a');
+  assert.deepEqual(a.types, { int: 1, string: 1 });
+  assert.equal(response.body.fields.find(field => field.path === 'when').types.date, 1);
+});
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { loadProxy, listen, fakeConnection } = require('./helpers');
+
+const app = loadProxy({
+  PROXY_CONNECTION_IDLE_TIMEOUT_MS: '60000',
+  PROXY_MAX_CONNECTIONS: '2',
+  PROXY_CERT_ORPHAN_AGE_MS: '60000'
+});
+const { internals } = app;
+
+const CERT_TEMP_ROOT = path.join('/tmp', 'mongodb-proxy-certs');
+
+// Conexão falsa com idade/uso controlados e registro de fechamento
+function trackedConnection({ createdAgoMs = 0, idleMs = 0, ...overrides } = {}) {
+  const closed = { count: 0 };
+  const connection = fakeConnection({}, {
+    client: { close: async () => { closed.count++; } },
+    createdAt: new Date(Date.now() - createdAgoMs),
+    lastUsedAt: new Date(Date.now() - idleMs),
+    ...overrides
+  });
+  return { connection, closed };
+}
+
+function recordClosedEvents(t) {
+  const events = [];
+  const listener = event => events.push(event);
+  app.connectionEvents.on('closed', listener);
+  t.after(() => app.connectionEvents.off('closed', listener));
+  return events;
+}
+
+test('limites pedidos no /connect só reduzem os globais', () => {
+  assert.equal(internals.resolveConnectionLimit(undefined, 60000), 60000);
+  assert.equal(internals.resolveConnectionLimit(1000, 60000), 1000);
+  assert.equal(internals.resolveConnectionLimit(120000, 60000), 60000);
+  assert.equal(internals.resolveConnectionLimit(5000, 0), 5000);
+  assert.equal(internals.resolveConnectionLimit(-1, 0), 0);
+});
+
+test('reaper encerra conexões ociosas e velhas demais, com o motivo no evento', async t => {
+  const events = recordClosedEvents(t);
+  const idle = trackedConnection({ idleMs: 61000, idleTimeoutMS: 60000 });
+  const old = trackedConnection({ createdAgoMs: 5000, maxLifetimeMS: 1000, idleTimeoutMS: 60000 });
+  const fresh = trackedConnection({ idleTimeoutMS: 60000 });
+  internals.activeConnections.set('idle', idle.connection);
+  internals.activeConnections.set('old', old.connection);
+  internals.activeConnections.set('fresh', fresh.connection);
+
+  await internals.reapConnections();
+
+  assert.deepEqual(events.map(({ connectionId, reason }) => [connectionId, reason]), [['idle', 'idle'], ['old', 'lifetime']]);
+  assert.equal(idle.closed.count, 1);
+  assert.equal(old.closed.count, 1);
+  assert.equal(fresh.closed.count, 0);
+  assert.deepEqual(Array.from(internals.activeConnections.keys()), ['fresh']);
+  await internals.closeConnection('fresh', 'disconnect');
+});
+
+test('PROXY_MAX_CONNECTIONS remove a conexão menos usada recentemente', async t => {
+  const events = recordClosedEvents(t);
+  internals.activeConnections.set('a', trackedConnection({ idleMs: 100 }).connection);
+  internals.activeConnections.set('b', trackedConnection({ idleMs: 5000 }).connection);
+
+  await internals.enforceConnectionCap();
+
+  assert.deepEqual(events.map(event => [event.connectionId, event.reason]), [['b', 'evicted']]);
+  assert.deepEqual(Array.from(internals.activeConnections.keys()), ['a']);
+  await internals.closeConnection('a', 'disconnect');
+});
+
+test('GET /connections lista idade, uso e limites', async t => {
+  internals.activeConnections.set('listed', trackedConnection({ createdAgoMs: 2000, idleMs: 1000 }).connection);
+  const server = await listen(app);
+  t.after(async () => {
+    await server.close();
+    await internals.closeConnection('listed', 'disconnect');
+  });
+
+  const response = await server.request('GET', '/connections');
+  assert.equal(response.status, 200);
+  assert.equal(response.body.limits.maxConnections, 2);
+  const [listed] = response.body.connections;
+  assert.equal(listed.connectionId, 'listed');
+  assert.ok(listed.ageMs >= 2000);
+  assert.ok(listed.idleMs >= 1000 && listed.idleMs < listed.ageMs);
+});
+
+test('sweepOrphanCertificates remove só diretórios sem renovação dentro do prazo', () => {
+  fs.mkdirSync(CERT_TEMP_ROOT, { recursive: true });
+  const orphan = path.join(CERT_TEMP_ROOT, `test-orphan-${crypto.randomBytes(4).toString('hex')}`);
+  const alive = path.join(CERT_TEMP_ROOT, `test-alive-${crypto.randomBytes(4).toString('hex')}`);
+  fs.mkdirSync(orphan);
+  fs.mkdirSync(alive);
+  const twoMinutesAgo = new Date(Date.now() - 120000);
+  fs.utimesSync(orphan, twoMinutesAgo, twoMinutesAgo);
+
+  try {
+    app.sweepOrphanCertificates();
+    assert.equal(fs.existsSync(orphan), false);
+    assert.equal(fs.existsSync(alive), true);
+  } finally {
+    fs.rmSync(orphan, { recursive: true, force: true });
+    fs.rmSync(alive, { recursive: true, force: true });
+  }
+});
+
+test('shutdown fecha todas as conexões sem remover os descritores', async t => {
+  const events = recordClosedEvents(t);
+  const store = internals.createMemoryDescriptorStore();
+  app.setDescriptorStore(store);
+  await store.set('s1', '{}');
+  const first = trackedConnection();
+  internals.activeConnections.set('s1', first.connection);
+
+  await app.shutdown('SIGTERM');
+
+  assert.deepEqual(events.map(event => [event.connectionId, event.reason]), [['s1', 'shutdown']]);
+  assert.equal(first.closed.count, 1);
+  assert.equal(internals.activeConnections.size, 0);
+  // Outra instância pode retomar a conexão a partir do descritor
+  assert.equal(await store.get('s1'), '{}');
+});
+
+test('node api/index.js escuta em PORT e encerra graciosamente no SIGTERM', async () => {
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'api', 'index.js')], {
+    env: { ...process.env, PORT: '0', PROXY_LOG_LEVEL: 'info' },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stdout.on('data', chunk => {
+    output += chunk;
+    if (output.includes('Servidor HTTP escutando') && !child.signaled) {
+      child.signaled = true;
+      child.kill('SIGTERM');
+    }
+  });
+
+  const timer = setTimeout(() => child.kill('SIGKILL'), 20000);
+  const [code] = await new Promise(resolve => child.on('exit', (...args) => resolve(args)));
+  clearTimeout(timer);
+
+  assert.equal(code, 0);
+  assert.match(output, /Sinal recebido, encerrando conexões/);
+  assert.match(output, /Encerramento concluído/);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { loadProxy, listen, fakeConnection } = require('./helpers');
+
+const allScopes = { connectionIds: '*', profiles: '*', databases: '*', collections: '*', operations: '*' };
+const app = loadProxy({
+  PROXY_CONNECTION_SECRET: 'test-connection-secret',
+  PROXY_API_KEYS: JSON.stringify([
+    { id: 'alice', key: 'alice-key', scopes: allScopes },
+    { id: 'bob', key: 'bob-key', scopes: allScopes }
+  ])
+});
+const { internals } = app;
+
+const descriptor = { connectionId: 'c1', owner: 'alice', mongoUrl: 'mongodb://user:pw@127.0.0.1:1/x', database: 'x' };
+
+test('connectionToken selado abre o mesmo descritor e recusa tokens adulterados', () => {
+  const token = internals.sealConnectionDescriptor(descriptor);
+  assert.doesNotMatch(Buffer.from(token, 'base64url').toString('latin1'), /user:pw/);
+  assert.deepEqual(internals.openConnectionDescriptor(token), descriptor);
+
+  const raw = Buffer.from(token, 'base64url');
+  raw[raw.length - 1] ^= 1;
+  assert.throws(() => internals.openConnectionDescriptor(raw.toString('base64url')), { status: 401, message: /inválido/ });
+  assert.throws(() => internals.openConnectionDescriptor('lixo'), { status: 401 });
+});
+
+test('store em arquivo guarda apenas descritores selados', async t => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'proxy-descriptors-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const store = internals.createFileDescriptorStore(directory);
+  await store.set('c1', internals.encodeDescriptor(descriptor));
+  const [file] = fs.readdirSync(directory);
+  assert.doesNotMatch(fs.readFileSync(path.join(directory, file), 'utf8'), /mongodb:|user:pw/);
+  assert.deepEqual(internals.openConnectionDescriptor(await store.get('c1')), descriptor);
+  await store.delete('c1');
+  assert.equal(await store.get('c1'), null);
+});
+
+test('store persistente sem PROXY_CONNECTION_SECRET impede a inicialização', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'proxy-descriptors-'));
+  try {
+    const result = spawnSync(process.execPath, ['-e', "require('./api/index.js')"], {
+      cwd: path.join(__dirname, '..'),
+      env: { ...process.env, PROXY_CONNECTION_SECRET: '', PROXY_DESCRIPTOR_STORE: 'file', PROXY_DESCRIPTOR_DIR: directory },
+      encoding: 'utf8',
+      timeout: 30000
+    });
+    assert.notEqual(result.status, 0);
+    assert.match(result.stderr, /exige PROXY_CONNECTION_SECRET/);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('descritor de outro cliente responde 403 sem abrir conexão', async () => {
+  const store = internals.createMemoryDescriptorStore();
+  app.setDescriptorStore(store);
+  await store.set('c1', internals.encodeDescriptor(descriptor));
+
+  await assert.rejects(internals.resolveConnection('c1', null, { id: 'bob' }), { status: 403 });
+  await assert.rejects(
+    internals.resolveConnection('c1', internals.sealConnectionDescriptor(descriptor), { id: 'bob' }),
+    { status: 403 }
+  );
+  assert.equal(internals.activeConnections.has('c1'), false);
+});
+
+test('token de outro connectionId é recusado', async () => {
+  await assert.rejects(
+    internals.resolveConnection('c2', internals.sealConnectionDescriptor(descriptor), { id: 'alice' }),
+    { status: 403, message: /não pertence a este connectionId/ }
+  );
+});
+
+test('somente o dono usa, substitui ou encerra a conexão', async t => {
+  app.setDescriptorStore(internals.createMemoryDescriptorStore());
+  const aliceConnection = fakeConnection({ find: () => ({ toArray: async () => [] }) }, { owner: 'alice' });
+  internals.activeConnections.set('shared', aliceConnection);
+  const server = await listen(app);
+  t.after(() => server.close());
+  const asBob = { 'X-API-Key': 'bob-key' };
+
+  const query = await server.request('POST', '/query', {
+    body: { connectionId: 'shared', collection: 'orders', operation: 'find' },
+    headers: asBob
+  });
+  assert.equal(query.status, 403);
+
+  const replace = await server.request('POST', '/connect', {
+    body: { connectionId: 'shared', mongoUrl: 'mongodb://127.0.0.1:1/x', database: 'x' },
+    headers: asBob
+  });
+  assert.equal(replace.status, 403);
+
+  const disconnect = await server.request('DELETE', '/disconnect/shared', { headers: asBob });
+  assert.equal(disconnect.status, 403);
+  assert.equal(internals.activeConnections.get('shared'), aliceConnection);
+
+  const own = await server.request('POST', '/query', {
+    body: { connectionId: 'shared', collection: 'orders', operation: 'find' },
+    headers: { 'X-API-Key': 'alice-key' }
+  });
+  assert.equal(own.status, 200);
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { loadProxy, listen, fakeConnection } = require('./helpers');
+
+const app = loadProxy();
+const { internals } = app;
+
+// Collection que registra cada chamada do driver e devolve um resultado fixo por método
+function recordingCollection() {
+  const calls = [];
+  const method = (name, result) => async (...args) => {
+    calls.push({ name, args });
+    return result;
+  };
+  return {
+    calls,
+    collection: {
+      replaceOne: method('replaceOne', { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedCount: 0 }),
+      findOneAndUpdate: method('findOneAndUpdate', { _id: 1, status: 'paid' }),
+      findOneAndReplace: method('findOneAndReplace', { _id: 1, status: 'new' }),
+      findOneAndDelete: method('findOneAndDelete', { _id: 1 }),
+      distinct: method('distinct', ['a', 'b']),
+      estimatedDocumentCount: method('estimatedDocumentCount', 42)
+    }
+  };
+}
+
+async function setup(t) {
+  const recording = recordingCollection();
+  internals.activeConnections.set('crud', fakeConnection(recording.collection));
+  const server = await listen(app);
+  t.after(() => server.close());
+  const query = body => server.request('POST', '/query', { body: { connectionId: 'crud', collection: 'orders', ...body } });
+  return { recording, query };
+}
+
+test('replaceOne repassa filtro, documento e upsert ao driver', async t => {
+  const { recording, query } = await setup(t);
+
+  const response = await query({
+    operation: 'replaceOne',
+    filter: { _id: { $oid: '5f0000000000000000000001' } },
+    document: { status: 'new' },
+    options: { upsert: true }
+  });
+
+  assert.equal(response.status, 200);
+  const [{ name, args }] = recording.calls;
+  assert.equal(name, 'replaceOne');
+  assert.ok(args[0]._id instanceof ObjectId);
+  assert.deepEqual(args[1], { status: 'new' });
+  assert.deepEqual(args[2], { upsert: true });
+  assert.equal(response.body.data.matchedCount, 1);
+});
+
+test('findOneAndUpdate/Replace/Delete devolvem o documento', async t => {
+  const { recording, query } = await setup(t);
+
+  const updated = await query({
+    operation: 'findOneAndUpdate',
+    filter: { _id: 1 },
+    document: { $set: { status: 'paid' } },
+    options: { returnDocument: 'after' }
+  });
+  assert.deepEqual(updated.body.data, { _id: 1, status: 'paid' });
+  assert.deepEqual(recording.calls[0].args, [{ _id: 1 }, { $set: { status: 'paid' } }, { returnDocument: 'after' }]);
+
+  const replaced = await query({ operation: 'findOneAndReplace', filter: { _id: 1 }, document: { status: 'new' } });
+  assert.deepEqual(replaced.body.data, { _id: 1, status: 'new' });
+
+  const deleted = await query({ operation: 'findOneAndDelete', filter: { _id: 1 } });
+  assert.deepEqual(deleted.body.data, { _id: 1 });
+  assert.deepEqual(recording.calls.map(call => call.name), ['findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete']);
+});
+
+test('distinct e estimatedDocumentCount', async t => {
+  const { recording, query } = await setup(t);
+
+  const distinct = await query({ operation: 'distinct', field: 'status', query: { active: true } });
+  assert.deepEqual(distinct.body.data, ['a', 'b']);
+  assert.deepEqual(recording.calls[0].args.slice(0, 2), ['status', { active: true }]);
+
+  const estimated = await query({ operation: 'estimatedDocumentCount' });
+  assert.equal(estimated.body.data, 42);
+});
+
+test('validação por operação: replacement sem operadores, update com operadores, field obrigatório', async t => {
+  const { recording, query } = await setup(t);
+
+  const replaceWithOperators = await query({ operation: 'replaceOne', filter: { _id: 1 }, document: { $set: { a: 1 } } });
+  assert.equal(replaceWithOperators.status, 400);
+  assert.equal(replaceWithOperators.body.errors[0].code, 'INVALID_REPLACEMENT_DOCUMENT');
+
+  const updateWithoutOperators = await query({ operation: 'findOneAndUpdate', filter: { _id: 1 }, document: { a: 1 } });
+  assert.equal(updateWithoutOperators.status, 400);
+
+  const distinctWithoutField = await query({ operation: 'distinct' });
+  assert.equal(distinctWithoutField.status, 400);
+  assert.equal(distinctWithoutField.body.errors[0].path, '/field');
+
+  const badReturnDocument = await query({ operation: 'findOneAndDelete', filter: { _id: 1 }, options: { returnDocument: 'later' } });
+  assert.equal(badReturnDocument.status, 400);
+  assert.equal(badReturnDocument.body.errors[0].path, '/options/returnDocument');
+
+  assert.equal(recording.calls.length, 0);
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProxy, listen, fakeCursor, fakeConnection } = require('./helpers');
+
+const app = loadProxy({ PROXY_CURSOR_MAX_BATCH_SIZE: '500' });
+const { internals } = app;
+
+const docs = [1, 2, 3, 4, 5].map(n => ({ n }));
+
+// Collection cujo find devolve um cursor novo a cada chamada (último cursor exposto para asserções)
+function cursorCollection(makeCursor = () => fakeCursor(docs)) {
+  const state = { cursor: null };
+  state.collection = {
+    find() {
+      state.cursor = makeCursor();
+      return state.cursor;
+    },
+    aggregate() {
+      state.cursor = makeCursor();
+      return state.cursor;
+    }
+  };
+  return state;
+}
+
+test('readCursorBatch lê até batchSize e detecta o fim do cursor', async () => {
+  const cursor = fakeCursor(docs);
+  assert.deepEqual(await internals.readCursorBatch(cursor, 2), { documents: [{ n: 1 }, { n: 2 }], exhausted: false });
+  assert.deepEqual(await internals.readCursorBatch(cursor, 3), { documents: [{ n: 3 }, { n: 4 }, { n: 5 }], exhausted: true });
+});
+
+test('resolveBatchSize usa o padrão e respeita o teto configurado', () => {
+  assert.equal(internals.resolveBatchSize(undefined), 100);
+  assert.equal(internals.resolveBatchSize(2), 2);
+  assert.equal(internals.resolveBatchSize(1000), 500);
+});
+
+test('resultMode cursor pagina via /cursor/:id/next e fecha ao esgotar', async t => {
+  const state = cursorCollection();
+  internals.activeConnections.set('cur', fakeConnection(state.collection));
+  const server = await listen(app);
+  t.after(() => server.close());
+
+  const first = await server.request('POST', '/query', {
+    body: { connectionId: 'cur', collection: 'items', operation: 'find', resultMode: 'cursor', batchSize: 2 }
+  });
+  assert.equal(first.status, 200);
+  assert.deepEqual(first.body.data, [{ n: 1 }, { n: 2 }]);
+  assert.equal(first.body.hasMore, true);
+  assert.ok(first.body.cursorId);
+
+  const second = await server.request('POST', `/cursor/${first.body.cursorId}/next`, { body: {} });
+  assert.deepEqual(second.body.data, [{ n: 3 }, { n: 4 }]);
+  assert.equal(second.body.cursorId, first.body.cursorId);
+
+  const last = await server.request('POST', `/cursor/${first.body.cursorId}/next`, { body: {} });
+  assert.deepEqual(last.body.data, [{ n: 5 }]);
+  assert.equal(last.body.hasMore, false);
+  assert.equal(last.body.cursorId, null);
+  assert.equal(state.cursor.closed, true);
+
+  const gone = await server.request('POST', `/cursor/${first.body.cursorId}/next`, { body: {} });
+  assert.equal(gone.status, 404);
+  assert.equal(gone.body.code, 'CURSOR_NOT_FOUND');
+});
+
+test('DELETE /cursor/:id fecha o cursor do driver', async t => {
+  const state = cursorCollection();
+  internals.activeConnections.set('cur', fakeConnection(state.collection));
+  const server = await listen(app);
+  t.after(() => server.close());
+
+  const first = await server.request('POST', '/query', {
+    body: { connectionId: 'cur', collection: 'items', operation: 'aggregate', pipeline: [], batchSize: 1 }
+  });
+  assert.equal(first.body.hasMore, true);
+
+  const closed = await server.request('DELETE', `/cursor/${first.body.cursorId}`);
+  assert.equal(closed.status, 200);
+  assert.equal(state.cursor.closed, true);
+});
+
+test('falha na primeira página fecha o cursor do driver', async t => {
+  const state = cursorCollection(() => {
+    const cursor = fakeCursor(docs);
+    cursor.hasNext = async () => {
+      throw Object.assign(new Error('operation exceeded time limit'), { name: 'MongoServerError', code: 50 });
+    };
+    return cursor;
+  });
+  internals.activeConnections.set('cur', fakeConnection(state.collection));
+  const server = await listen(app);
+  t.after(() => server.close());
+
+  const response = await server.request('POST', '/query', {
+    body: { connectionId: 'cur', collection: 'items', operation: 'find', resultMode: 'cursor' }
+  });
+  assert.equal(response.status, 504);
+  assert.equal(state.cursor.closed, true);
+});
+
+test('resultMode stream escreve NDJSON e sinaliza erro na última linha', async t => {
+  const ok = cursorCollection();
+  internals.activeConnections.set('cur', fakeConnection(ok.collection));
+  const server = await listen(app);
+  t.after(() => server.close());
+
+  const streamed = await server.request('POST', '/query', {
+    body: { connectionId: 'cur', collection: 'items', operation: 'find', resultMode: 'stream' }
+  });
+  assert.equal(streamed.status, 200);
+  assert.match(streamed.headers.get('content-type'), /application\/x-ndjson/);
+  assert.deepEqual(streamed.text.trim().split('\n').map(line => JSON.parse(line)), docs);
+  assert.equal(ok.cursor.closed, true);
+
+  const failing = cursorCollection(() => {
+    const cursor = fakeCursor(docs);
+    cursor[Symbol.asyncIterator] = async function* () {
+      yield { n: 1 };
+      throw new Error('cursor killed');
+    };
+    return cursor;
+  });
+  internals.activeConnections.set('cur', fakeConnection(failing.collection));
+  const broken = await server.request('POST', '/query', {
+    body: { connectionId: 'cur', collection: 'items', operation: 'find', resultMode: 'stream' }
+  });
+  const lines = broken.text.trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(lines[0], { n: 1 });
+  assert.equal(lines[1].error, 'Falha durante o streaming');
+  assert.equal(failing.cursor.closed, true);
+});
+
+test('resultMode inválido responde 400', async t => {
+  const server = await listen(app);
+  t.after(() => server.close());
+
+  const response = await server.request('POST', '/query', {
+    body: { connectionId: 'cur', collection: 'items', operation: 'find', resultMode: 'pages' }
+  });
+  assert.equal(response.status, 400);
+});
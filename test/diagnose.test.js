@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId, BSON: { EJSON } } = require('mongodb');
+const { loadProxy, listen, fakeCursor, fakeConnection } = require('./helpers');
+
+const app = loadProxy();
+const { internals } = app;
+
+const franchise = new ObjectId('5f0000000000000000000001');
+const stores = [
+  { _id: 1, franchise, code: 10, active: true, tenantId: 't1' },
+  { _id: 2, franchise, code: 20, active: true, tenantId: 't1' },
+  { _id: 3, franchise: new ObjectId(), code: 10, active: false, tenantId: 't2' }
+];
+
+// Igualdade BSON estrita (ObjectId ≠ string, 10 ≠ "10"), como no servidor
+const same = (a, b) => EJSON.stringify(a, { relaxed: false }) === EJSON.stringify(b, { relaxed: false });
+
+// Avaliar os filtros gerados pelo diagnóstico: igualdade, $eq, $in e $and
+function matches(doc, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (field === '$and') return condition.every(clause => matches(doc, clause));
+    if (condition && typeof condition === 'object' && '$in' in condition) return condition.$in.some(value => same(doc[field], value));
+    if (condition && typeof condition === 'object' && '$eq' in condition) return same(doc[field], condition.$eq);
+    return same(doc[field], condition);
+  });
+}
+
+const typeName = value => (value instanceof ObjectId ? 'objectId' : typeof value === 'number' ? 'int' : typeof value === 'boolean' ? 'bool' : value === undefined ? 'missing' : typeof value);
+
+const collection = {
+  async countDocuments(filter) {
+    return stores.filter(doc => matches(doc, filter)).length;
+  },
+  aggregate(pipeline) {
+    const match = pipeline.find(stage => stage.$match);
+    const group = pipeline.find(stage => stage.$group);
+    const field = group.$group._id.$type.slice(1);
+    const counts = {};
+    for (const doc of stores.filter(candidate => !match || matches(candidate, match.$match))) {
+      counts[typeName(doc[field])] = (counts[typeName(doc[field])] || 0) + 1;
+    }
+    return fakeCursor(Object.entries(counts).map(([type, count]) => ({ _id: type, count })));
+  }
+};
+
+async function setup(t, overrides = {}) {
+  internals.activeConnections.set('diag', fakeConnection(collection, overrides));
+  const server = await listen(app);
+  t.after(() => server.close());
+  return body => server.request('POST', '/diagnose', { body: { connectionId: 'diag', collection: 'stores', coercion: false, ...body } });
+}
+
+test('aponta ObjectId armazenado vs string no filtro e sugere a conversão', async t => {
+  const diagnose = await setup(t);
+
+  const response = await diagnose({ filter: { franchise: franchise.toHexString() } });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.matches, 0);
+
+  const [field] = response.body.fields;
+  assert.equal(field.field, 'franchise');
+  assert.deepEqual(field.filterTypes, ['string']);
+  assert.deepEqual(field.storedTypes, { objectId: 3 });
+  assert.equal(field.typeMismatch, true);
+
+  const objectIdAlternative = field.alternatives.find(alternative => alternative.interpretation === 'objectId');
+  assert.equal(objectIdAlternative.matches, 2);
+  assert.deepEqual(objectIdAlternative.filter, { franchise: { $oid: franchise.toHexString() } });
+
+  assert.equal(response.body.suggestion.field, 'franchise');
+  assert.equal(response.body.suggestion.interpretation, 'objectId');
+});
+
+test('analisa cada campo, inclusive dentro de $and e com $in', async t => {
+  const diagnose = await setup(t);
+
+  const response = await diagnose({ filter: { $and: [{ code: { $in: ['10', '30'] } }, { active: true }] } });
+  const byField = Object.fromEntries(response.body.fields.map(field => [field.field, field]));
+
+  assert.equal(byField.code.typeMismatch, true);
+  assert.equal(byField.code.alternatives.find(alternative => alternative.interpretation === 'number').matches, 1);
+  assert.equal(byField.active.typeMismatch, false);
+  assert.equal(response.body.suggestion.interpretation, 'number');
+});
+
+test('filtro com o tipo certo não aponta divergência', async t => {
+  const diagnose = await setup(t);
+
+  const response = await diagnose({ filter: { code: 10 } });
+  assert.equal(response.body.matches, 2);
+  assert.equal(response.body.fields[0].typeMismatch, false);
+  assert.equal(response.body.suggestion, null);
+});
+
+test('campos de tenant ficam fora do diagnóstico e restringem as contagens', async t => {
+  const diagnose = await setup(t, { tenant: [{ bindings: { tenantId: 't2' }, collections: '*' }] });
+
+  const response = await diagnose({ filter: { code: '10' } });
+  assert.deepEqual(response.body.fields.map(field => field.field), ['code']);
+  assert.equal(response.body.fields[0].alternatives.find(alternative => alternative.interpretation === 'number').matches, 1);
+
+  const override = await diagnose({ filter: { tenantId: 't1' } });
+  assert.equal(override.status, 403);
+});
+
+test('exige um filtro', async t => {
+  const diagnose = await setup(t);
+  const response = await diagnose({});
+  assert.equal(response.status, 400);
+  assert.equal(response.body.errors[0].code, 'REQUIRED');
+});
+
+test('o endpoint fixo /debug-stores não existe mais', async t => {
+  const server = await listen(app);
+  t.after(() => server.close());
+  const response = await server.request('GET', '/debug-stores/diag');
+  assert.equal(response.status, 404);
+});
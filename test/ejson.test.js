@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProxy, listen, fakeCursor, fakeConnection } = require('./helpers');
+
+const app = loadProxy();
+const { internals } = app;
+const { ObjectId, Long, Decimal128 } = require('mongodb');
+
+test('reviveExtendedJson converte wrappers canonical e relaxed para tipos BSON', () => {
+  const revived = internals.reviveExtendedJson({
+    _id: { $oid: '5f0000000000000000000001' },
+    count: { $numberLong: '9007199254740993' },
+    price: { $numberDecimal: '10.25' },
+    createdAt: { $date: '2024-01-02T03:04:05Z' },
+    nested: [{ at: { $date: { $numberLong: '0' } } }]
+  });
+
+  assert.ok(revived._id instanceof ObjectId);
+  assert.equal(revived._id.toHexString(), '5f0000000000000000000001');
+  assert.ok(revived.count instanceof Long);
+  assert.equal(revived.count.toString(), '9007199254740993');
+  assert.ok(revived.price instanceof Decimal128);
+  assert.equal(revived.createdAt.toISOString(), '2024-01-02T03:04:05.000Z');
+  assert.equal(revived.nested[0].at.getTime(), 0);
+});
+
+test('reviveExtendedJson não converte strings ISO nem objetos comuns', () => {
+  const revived = internals.reviveExtendedJson({ at: '2024-01-02T03:04:05Z', meta: { a: 1 } });
+  assert.equal(revived.at, '2024-01-02T03:04:05Z');
+  assert.deepEqual(revived.meta, { a: 1 });
+  assert.equal(internals.isExtendedJsonWrapper({ $set: { a: 1 } }), false);
+});
+
+test('reviveExtendedJson rejeita wrapper inválido com ValidationError', () => {
+  assert.throws(() => internals.reviveExtendedJson({ _id: { $oid: 'xyz' } }), { code: 'VALIDATION_FAILED', status: 400 });
+});
+
+test('serializeResult emite canonical, relaxed ou JSON legado', () => {
+  const doc = { _id: new ObjectId('5f0000000000000000000001'), n: 5, at: new Date(0) };
+
+  assert.deepEqual(internals.serializeResult(doc, 'canonical'), {
+    _id: { $oid: '5f0000000000000000000001' },
+    n: { $numberInt: '5' },
+    at: { $date: { $numberLong: '0' } }
+  });
+  assert.deepEqual(internals.serializeResult(doc, 'relaxed'), {
+    _id: { $oid: '5f0000000000000000000001' },
+    n: 5,
+    at: { $date: '1970-01-01T00:00:00Z' }
+  });
+  assert.equal(internals.serializeResult(doc, null), doc);
+});
+
+test('/query aceita Extended JSON na entrada e responde no modo pedido', async t => {
+  let receivedQuery = null;
+  internals.activeConnections.set('ejson', fakeConnection({
+    find(query) {
+      receivedQuery = query;
+      return fakeCursor([{ _id: new ObjectId('5f0000000000000000000002'), total: Long.fromString('12') }]);
+    }
+  }));
+  const server = await listen(app);
+  t.after(() => server.close());
+
+  const response = await server.request('POST', '/query', {
+    body: {
+      connectionId: 'ejson',
+      collection: 'orders',
+      operation: 'find',
+      query: { storeId: { $oid: '5f0000000000000000000001' } }
+    },
+    headers: { 'X-EJSON-Mode': 'canonical' }
+  });
+
+  assert.equal(response.status, 200);
+  assert.ok(receivedQuery.storeId instanceof ObjectId);
+  assert.equal(response.body.ejson, 'canonical');
+  assert.deepEqual(response.body.data, [{ _id: { $oid: '5f0000000000000000000002' }, total: { $numberLong: '12' } }]);
+});
+
+test('/query recusa modo Extended JSON desconhecido', async t => {
+  const server = await listen(app);
+  t.after(() => server.close());
+
+  const response = await server.request('POST', '/query', {
+    body: { connectionId: 'ejson', collection: 'orders', operation: 'find', ejson: 'strict' }
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.code, 'VALIDATION_FAILED');
+});
@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { loadProxy, listen, fakeConnection, memoryDb } = require('./helpers');
+
+const app = loadProxy({ PROXY_FILES_MAX_BYTES: '600000' });
+const { internals } = app;
+
+// Conteúdo binário com bytes de todos os valores (chunks do GridFS têm 255 KiB)
+const binary = Buffer.alloc(300000);
+for (let i = 0; i < binary.length; i++) binary[i] = i % 251;
+
+async function setup(t, overrides = {}) {
+  const db = memoryDb();
+  internals.activeConnections.set('files', fakeConnection({}, { db, ...overrides }));
+  const server = await listen(app);
+  t.after(() => server.close());
+
+  const fetchFile = (path, init = {}) => fetch(server.baseUrl + path, init);
+  return { db, server, fetchFile };
+}
+
+function multipart(boundary, parts) {
+  const chunks = [Buffer.from('preâmbulo ignorado')];
+  for (const { headers, body } of parts) {
+    chunks.push(Buffer.from(`\r\n--${boundary}\r\n${headers.join('\r\n')}\r\n\r\n`), Buffer.from(body));
+  }
+  chunks.push(Buffer.from(`\r\n--${boundary}--\r\nepílogo`));
+  return Buffer.concat(chunks);
+}
+
+test('parseByteRange: intervalo, sufixo, aberto, insatisfatível e ignorados', () => {
+  assert.deepEqual(internals.parseByteRange('bytes=0-9', 100), { start: 0, end: 9 });
+  assert.deepEqual(internals.parseByteRange('bytes=-10', 100), { start: 90, end: 99 });
+  assert.deepEqual(internals.parseByteRange('bytes=90-', 100), { start: 90, end: 99 });
+  assert.deepEqual(internals.parseByteRange('bytes=5-200', 100), { start: 5, end: 99 });
+  assert.deepEqual(internals.parseByteRange('bytes=100-', 100), { unsatisfiable: true });
+  assert.equal(internals.parseByteRange('bytes=0-5,7-9', 100), null);
+  assert.equal(internals.parseByteRange(undefined, 100), null);
+});
+
+test('contentDisposition tem fallback ASCII e filename* em UTF-8', () => {
+  assert.equal(
+    internals.contentDisposition('inline', 'recibo março (1).pdf'),
+    'inline; filename="recibo mar_o (1).pdf"; filename*=UTF-8\'\'recibo%20mar%C3%A7o%20%281%29.pdf'
+  );
+});
+
+test('readMultipartParts separa partes com delimitador dividido entre chunks', async () => {
+  const body = multipart('xyz', [
+    { headers: ['Content-Disposition: form-data; name="note"'], body: 'oi' },
+    { headers: ['Content-Disposition: form-data; name="file"; filename="a.bin"', 'Content-Type: application/octet-stream'], body: 'a\r\n--xyzb' }
+  ]);
+  const chunks = [];
+  for (let i = 0; i < body.length; i += 7) chunks.push(body.subarray(i, i + 7));
+
+  const parts = [];
+  for await (const { part, data } of internals.readMultipartParts(Readable.from(chunks), 'xyz')) {
+    if (part) parts.push({ ...part, data: '' });
+    else parts[parts.length - 1].data += data.toString('utf8');
+  }
+  assert.deepEqual(parts, [
+    { name: 'note', filename: null, contentType: null, data: 'oi' },
+    { name: 'file', filename: 'a.bin', contentType: 'application/octet-stream', data: 'a\r\n--xyzb' }
+  ]);
+
+  await assert.rejects(
+    async () => {
+      for await (const item of internals.readMultipartParts(Readable.from([Buffer.from('--xyz\r\n\r\nsem fim')]), 'xyz')) void item;
+    },
+    error => error.code === 'VALIDATION_FAILED'
+  );
+});
+
+test('upload multipart, download completo, Range e remoção', async t => {
+  const { db, fetchFile } = await setup(t);
+  const body = multipart('b0undary', [
+    { headers: ['Content-Disposition: form-data; name="metadata"'], body: '{"owner":"ana"}' },
+    { headers: ['Content-Disposition: form-data; name="file"; filename="recibo março.bin"', 'Content-Type: application/octet-stream'], body: binary },
+    { headers: ['Content-Disposition: form-data; name="extra"; filename="ignorado.txt"'], body: 'zzz' }
+  ]);
+
+  let response = await fetchFile('/files/files/receipts', {
+    method: 'POST',
+    headers: { 'Content-Type': 'multipart/form-data; boundary=b0undary' },
+    body
+  });
+  assert.equal(response.status, 201);
+  const { file } = await response.json();
+  assert.equal(file.filename, 'recibo março.bin');
+  assert.equal(file.length, binary.length);
+  assert.equal(file.metadata.owner, 'ana');
+  assert.equal(db.collections['receipts.chunks'].docs.length, 2);
+
+  response = await fetchFile(`/files/files/receipts/${file._id}`);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('accept-ranges'), 'bytes');
+  assert.ok(Buffer.from(await response.arrayBuffer()).equals(binary));
+
+  response = await fetchFile(`/files/files/receipts/${file._id}`, { headers: { Range: 'bytes=261000-261099' } });
+  assert.equal(response.status, 206);
+  assert.equal(response.headers.get('content-range'), `bytes 261000-261099/${binary.length}`);
+  assert.ok(Buffer.from(await response.arrayBuffer()).equals(binary.subarray(261000, 261100)));
+
+  response = await fetchFile(`/files/files/receipts/${file._id}`, { headers: { Range: 'bytes=999999-' } });
+  assert.equal(response.status, 416);
+  assert.equal(response.headers.get('content-range'), `bytes */${binary.length}`);
+
+  response = await fetchFile(`/files/files/receipts/${file._id}`, { method: 'DELETE' });
+  assert.equal(response.status, 200);
+  assert.equal(db.collections['receipts.chunks'].docs.length, 0);
+
+  response = await fetchFile(`/files/files/receipts/${file._id}`);
+  assert.equal(response.status, 404);
+  assert.equal((await response.json()).code, 'FILE_NOT_FOUND');
+});
+
+test('upload bruto exige filename, recusa JSON e respeita o limite de tamanho', async t => {
+  const { db, fetchFile } = await setup(t);
+
+  let response = await fetchFile('/files/files/docs?filename=a.txt&metadata=' + encodeURIComponent('{"k":1}'), {
+    method: 'POST', headers: { 'Content-Type': 'text/plain' }, body: 'hello'
+  });
+  assert.equal(response.status, 201);
+
+  response = await fetchFile('/files/files/docs', { method: 'POST', headers: { 'Content-Type': 'text/plain' }, body: 'hello' });
+  assert.equal(response.status, 400);
+
+  response = await fetchFile('/files/files/docs?filename=x', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+  assert.equal(response.status, 415);
+
+  response = await fetchFile('/files/files/docs?filename=big', {
+    method: 'POST', headers: { 'Content-Type': 'application/octet-stream' }, body: Buffer.concat([binary, binary, binary])
+  });
+  assert.equal(response.status, 413);
+  assert.equal(db.collections['docs.files'].docs.length, 1);
+  assert.equal(db.collections['docs.chunks'].docs.length, 1);
+
+  response = await fetchFile('/files/files/docs?filter=' + encodeURIComponent('{"metadata.k":1}'));
+  const listed = await response.json();
+  assert.deepEqual(listed.files.map(file => file.filename), ['a.txt']);
+});
+
+test('escopo de tenant carimba o metadata e esconde arquivos de outros tenants', async t => {
+  const { fetchFile } = await setup(t);
+  const upload = await fetchFile('/files/files/docs?filename=livre.txt', { method: 'POST', headers: { 'Content-Type': 'text/plain' }, body: 'x' });
+  const { file: untenanted } = await upload.json();
+
+  internals.activeConnections.get('files').tenant = [{ bindings: { org: 'acme' }, collections: '*' }];
+
+  let response = await fetchFile('/files/files/docs?filename=t.txt', { method: 'POST', headers: { 'Content-Type': 'text/plain' }, body: 't' });
+  assert.equal(response.status, 201);
+  assert.equal((await response.json()).file.metadata.org, 'acme');
+
+  response = await fetchFile('/files/files/docs?filename=t.txt&metadata=' + encodeURIComponent('{"org":"outra"}'), {
+    method: 'POST', headers: { 'Content-Type': 'text/plain' }, body: 't'
+  });
+  assert.equal(response.status, 403);
+
+  response = await fetchFile('/files/files/docs');
+  assert.deepEqual((await response.json()).files.map(file => file.filename), ['t.txt']);
+
+  response = await fetchFile(`/files/files/docs/${untenanted._id}`);
+  assert.equal(response.status, 404);
+});
@@ -0,0 +1,181 @@
+// Utilitários compartilhados pelos testes (node --test roda cada arquivo em um processo próprio,
+// então cada arquivo carrega o proxy com o seu próprio env)
+
+const { BSON } = require('mongodb');
+
+const { EJSON } = BSON;
+
+// Carregar o proxy com o env do teste; por padrão sem logs e sem autenticação
+function loadProxy(env = {}) {
+  Object.assign(process.env, { PROXY_LOG_LEVEL: 'silent', PROXY_ALLOW_ANONYMOUS: 'true' }, env);
+  return require('../api/index.js');
+}
+
+// Subir o app em uma porta livre; devolve { baseUrl, request, close }
+async function listen(app) {
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Corpo objeto vira JSON; string/Buffer segue como está. Resposta: { status, headers, body, text }
+  async function request(method, url, { body, headers = {} } = {}) {
+    const isJson = body !== undefined && typeof body !== 'string' && !Buffer.isBuffer(body);
+    const response = await fetch(baseUrl + url, {
+      method,
+      headers: isJson ? { 'Content-Type': 'application/json', ...headers } : headers,
+      body: isJson ? JSON.stringify(body) : body
+    });
+    const text = await response.text();
+    let parsed = null;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      // Corpo não JSON (NDJSON, CSV, binário)
+    }
+    return { status: response.status, headers: response.headers, body: parsed, text };
+  }
+
+  return {
+    baseUrl,
+    request,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// Cursor do driver em memória (hasNext/next/toArray/close e iteração assíncrona)
+function fakeCursor(docs) {
+  let index = 0;
+  const cursor = {
+    closed: false,
+    async hasNext() { return !cursor.closed && index < docs.length; },
+    async next() { return docs[index++]; },
+    async toArray() { return docs.slice(index); },
+    async close() { cursor.closed = true; },
+    async *[Symbol.asyncIterator]() {
+      while (!cursor.closed && index < docs.length) yield docs[index++];
+    }
+  };
+  return cursor;
+}
+
+// Entrada de activeConnections sobre uma collection falsa (métodos ausentes falham como no driver)
+function fakeConnection(collection, overrides = {}) {
+  const now = new Date();
+  return {
+    client: { close: async () => {} },
+    db: {
+      databaseName: 'test',
+      collection: name => ({ collectionName: name, ...collection })
+    },
+    config: { database: 'test', tlsConfig: { enabled: false } },
+    owner: null,
+    createdAt: now,
+    lastUsedAt: now,
+    queryCount: 0,
+    idleTimeoutMS: 0,
+    maxLifetimeMS: 0,
+    safety: {},
+    tenant: [],
+    ...overrides
+  };
+}
+
+// Igualdade BSON estrita (ObjectId ≠ string), como no servidor
+function sameBson(a, b) {
+  return EJSON.stringify(a, { relaxed: false }) === EJSON.stringify(b, { relaxed: false });
+}
+
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), doc);
+}
+
+// Filtros simples: igualdade, $eq, $gte e $regex por caminho com ponto
+function matchesFilter(doc, filter) {
+  return Object.entries(filter || {}).every(([path, condition]) => {
+    const value = getPath(doc, path);
+    const isOperator = condition && typeof condition === 'object' && !Array.isArray(condition) &&
+      Object.keys(condition).some(key => key.startsWith('$'));
+    if (!isOperator) return sameBson(value, condition);
+
+    return Object.entries(condition).every(([operator, operand]) => {
+      if (operator === '$eq') return sameBson(value, operand);
+      if (operator === '$gte') return value >= operand;
+      if (operator === '$regex') return new RegExp(operand).test(value);
+      throw new Error(`operador não suportado no banco em memória: ${operator}`);
+    });
+  });
+}
+
+// Cursor de find com sort/skip/limit encadeáveis ou via opções (next devolve null ao esgotar, como no driver)
+function memoryCursor(docs, options = {}) {
+  let results = docs;
+  let index = 0;
+  const cursor = {
+    sort(spec) {
+      const [[field, direction]] = Object.entries(spec);
+      results = [...results].sort((a, b) => (getPath(a, field) > getPath(b, field) ? 1 : -1) * direction);
+      return cursor;
+    },
+    skip(count) {
+      results = results.slice(count);
+      return cursor;
+    },
+    limit(count) {
+      if (count) results = results.slice(0, count);
+      return cursor;
+    },
+    withReadPreference: () => cursor,
+    async hasNext() { return index < results.length; },
+    async next() { return index < results.length ? results[index++] : null; },
+    async toArray() { return results.slice(index); },
+    async close() {},
+    async *[Symbol.asyncIterator]() {
+      while (index < results.length) yield results[index++];
+    }
+  };
+
+  if (options.sort) cursor.sort(options.sort);
+  if (options.skip) cursor.skip(options.skip);
+  if (options.limit) cursor.limit(options.limit);
+  return cursor;
+}
+
+// Db em memória com o suficiente do driver para o GridFSBucket (collections em db.collections)
+function memoryDb() {
+  const collections = {};
+
+  const collection = name => {
+    if (!collections[name]) {
+      let docs = [];
+      collections[name] = {
+        collectionName: name,
+        get docs() { return docs; },
+        find: (filter, options) => memoryCursor(docs.filter(doc => matchesFilter(doc, filter)), options),
+        findOne: async filter => docs.find(doc => matchesFilter(doc, filter)) || null,
+        async insertOne(doc) {
+          const stored = BSON.deserialize(BSON.serialize(doc));
+          docs.push(stored);
+          return { acknowledged: true, insertedId: stored._id };
+        },
+        async deleteOne(filter) {
+          const index = docs.findIndex(doc => matchesFilter(doc, filter));
+          if (index >= 0) docs.splice(index, 1);
+          return { deletedCount: index >= 0 ? 1 : 0 };
+        },
+        async deleteMany(filter) {
+          const before = docs.length;
+          docs = docs.filter(doc => !matchesFilter(doc, filter));
+          return { deletedCount: before - docs.length };
+        },
+        listIndexes: () => fakeCursor([]),
+        createIndex: async () => 'index'
+      };
+    }
+    return collections[name];
+  };
+
+  return { databaseName: 'test', s: {}, bsonOptions: {}, collections, collection };
+}
+
+module.exports = { loadProxy, listen, fakeCursor, fakeConnection, memoryDb };
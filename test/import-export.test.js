@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { ObjectId } = require('mongodb');
+const { loadProxy, listen, fakeCursor, fakeConnection } = require('./helpers');
+
+const scopes = { connectionIds: '*', databases: '*', collections: '*', operations: '*' };
+const app = loadProxy({
+  PROXY_ALLOW_ANONYMOUS: 'false',
+  PROXY_API_KEYS: JSON.stringify([
+    { id: 'io', key: 'io-key', scopes },
+    { id: 'signer', hmacSecret: 'hmac-secret', scopes }
+  ])
+});
+const { internals } = app;
+
+const auth = { 'X-API-Key': 'io-key' };
+
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+}
+
+// Collection falsa: find para exportar, bulkWrite registrando os modelos (duplicatas falham como no driver)
+function ioCollection(docs = []) {
+  const state = { models: [] };
+  state.collection = {
+    find: () => fakeCursor(docs),
+    async countDocuments() { return 0; },
+    async bulkWrite(models) {
+      state.models.push(...models);
+      const duplicates = models
+        .map((model, index) => ({ model, index }))
+        .filter(({ model }) => model.insertOne && model.insertOne.document.sku === 'dup');
+      const result = {
+        insertedCount: models.filter(model => model.insertOne).length - duplicates.length,
+        upsertedCount: models.filter(model => model.replaceOne).length,
+        matchedCount: 0,
+        modifiedCount: 0
+      };
+      if (duplicates.length > 0) {
+        throw Object.assign(new Error('E11000'), {
+          name: 'MongoBulkWriteError',
+          result,
+          writeErrors: duplicates.map(({ index }) => ({ index, code: 11000, errmsg: 'E11000 duplicate key' }))
+        });
+      }
+      return result;
+    }
+  };
+  return state;
+}
+
+async function setup(t, docs) {
+  const state = ioCollection(docs);
+  internals.activeConnections.set('io', fakeConnection(state.collection));
+  const server = await listen(app);
+  t.after(() => server.close());
+  state.server = server;
+  return state;
+}
+
+test('readCsvRows trata aspas, "" escapado, quebras dentro de aspas e CRLF', async () => {
+  const rows = await collect(internals.readCsvRows(Readable.from(['a,"b ""x""",c\r\n', '1,"linha\nquebrada",3\r\n4,', '5,6'])));
+  assert.deepEqual(rows, [
+    { line: 1, cells: ['a', 'b "x"', 'c'] },
+    { line: 2, cells: ['1', 'linha\nquebrada', '3'] },
+    { line: 4, cells: ['4', '5', '6'] }
+  ]);
+});
+
+test('readJsonLines ignora linhas vazias e junta linhas partidas entre chunks', async () => {
+  const lines = await collect(internals.readJsonLines(Readable.from(['{"a":', '1}\n\n{"b":2}'])));
+  assert.deepEqual(lines, [{ line: 1, text: '{"a":1}' }, { line: 3, text: '{"b":2}' }]);
+});
+
+test('/export em CSV achata subdocumentos e escapa células', async t => {
+  const id = new ObjectId();
+  const { server } = await setup(t, [
+    { _id: id, name: 'Ana, "A"', address: { city: 'Recife' } },
+    { _id: 2, name: 'Bia', tags: ['x'] }
+  ]);
+
+  const response = await server.request('POST', '/export', {
+    headers: auth,
+    body: { connectionId: 'io', collection: 'people', format: 'csv' }
+  });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-disposition'), /filename="people\.csv"/);
+  assert.equal(response.text, [
+    '_id,name,address.city,tags',
+    `${id.toHexString()},"Ana, ""A""",Recife,`,
+    '2,Bia,,"[""x""]"',
+    ''
+  ].join('\r\n'));
+});
+
+test('/export em NDJSON escreve um documento por linha', async t => {
+  const { server } = await setup(t, [{ a: 1 }, { a: 2 }]);
+  const response = await server.request('POST', '/export', {
+    headers: auth,
+    body: { connectionId: 'io', collection: 'people', format: 'ndjson' }
+  });
+  assert.equal(response.text, '{"a":1}\n{"a":2}\n');
+});
+
+test('/import de CSV grava em lotes e responde 207 com as linhas que falharam', async t => {
+  const state = await setup(t);
+  const csv = 'sku,qty,meta.color\na,1,red\ndup,2,\nb,3,blue\n';
+
+  const coercion = encodeURIComponent(JSON.stringify({ qty: 'number' }));
+  const response = await state.server.request('POST', `/import/io/items?batchSize=2&coercion=${coercion}`, {
+    headers: { ...auth, 'Content-Type': 'text/csv' },
+    body: csv
+  });
+
+  assert.equal(response.status, 207);
+  assert.equal(response.body.success, false);
+  assert.deepEqual(response.body.summary, { rows: 3, inserted: 2, upserted: 0, matched: 0, modified: 0, failed: 1 });
+  assert.deepEqual(response.body.failures, [{ line: 3, code: 'DUPLICATE_KEY', error: 'E11000 duplicate key' }]);
+  assert.deepEqual(state.models[0].insertOne.document, { sku: 'a', qty: 1, meta: { color: 'red' } });
+});
+
+test('/import NDJSON em upsert usa a chave e reporta linhas inválidas', async t => {
+  const state = await setup(t);
+  const response = await state.server.request('POST', '/import/io/items?mode=upsert&key=sku', {
+    headers: { ...auth, 'Content-Type': 'application/x-ndjson' },
+    body: '{"sku":"a","qty":1}\nnão é json\n{"qty":2}\n'
+  });
+
+  assert.equal(response.status, 207);
+  assert.equal(response.body.summary.upserted, 1);
+  assert.deepEqual(response.body.failures.map(failure => [failure.line, failure.code]), [[2, 'INVALID_JSON'], [3, 'VALIDATION_FAILED']]);
+  assert.deepEqual(state.models[0], { replaceOne: { filter: { sku: 'a' }, replacement: { sku: 'a', qty: 1 }, upsert: true } });
+
+  const json = await state.server.request('POST', '/import/io/items', { headers: auth, body: { sku: 'a' } });
+  assert.equal(json.status, 415);
+});
+
+test('/import assinado com HMAC só grava se o corpo conferir com X-Content-SHA256', async t => {
+  const state = await setup(t);
+  const url = '/import/io/items';
+  const signedBody = '{"sku":"a"}\n';
+  const bodyHash = crypto.createHash('sha256').update(signedBody).digest('hex');
+  const timestamp = String(Date.now());
+  const signature = crypto.createHmac('sha256', 'hmac-secret').update(`POST\n${url}\n${timestamp}\n${bodyHash}`).digest('hex');
+  const headers = {
+    'Content-Type': 'application/x-ndjson',
+    Authorization: `HMAC signer:${signature}`,
+    'X-Timestamp': timestamp,
+    'X-Content-SHA256': bodyHash
+  };
+
+  const tampered = await state.server.request('POST', url, { headers, body: '{"sku":"b"}\n' });
+  assert.equal(tampered.status, 401);
+  assert.equal(state.models.length, 0);
+
+  const accepted = await state.server.request('POST', url, { headers, body: signedBody });
+  assert.equal(accepted.status, 200);
+  assert.equal(accepted.body.summary.inserted, 1);
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { loadProxy, listen, fakeCursor, fakeConnection } = require('./helpers');
+
+const app = loadProxy({
+  PROXY_ALLOW_ANONYMOUS: 'false',
+  PROXY_API_KEYS: JSON.stringify([
+    { id: 'dba', key: 'dba-key', scopes: { connectionIds: '*', databases: '*', collections: '*', operations: ['find', 'manageIndexes'] } },
+    { id: 'reader', key: 'reader-key', scopes: { connectionIds: '*', databases: '*', collections: '*', operations: ['find'] } }
+  ])
+});
+const { internals } = app;
+
+const dba = { 'X-API-Key': 'dba-key' };
+const reader = { 'X-API-Key': 'reader-key' };
+
+// Collection com índices em memória e chamadas registradas
+function indexedCollection({ indexStatsError = null } = {}) {
+  const state = {
+    indexes: [{ v: 2, key: { _id: 1 }, name: '_id_' }, { v: 2, key: { status: 1 }, name: 'status_1' }],
+    created: [],
+    dropped: []
+  };
+  state.collection = {
+    listIndexes: () => fakeCursor(state.indexes.map(index => ({ ...index }))),
+    aggregate(pipeline) {
+      assert.deepEqual(pipeline, [{ $indexStats: {} }]);
+      return {
+        async toArray() {
+          if (indexStatsError) throw indexStatsError;
+          return [{ name: 'status_1', host: 'db:27017', accesses: { ops: 42, since: new Date('2024-01-01T00:00:00Z') } }];
+        }
+      };
+    },
+    async createIndexes(specs) {
+      state.created.push(...specs);
+      return specs.map(spec => spec.name || Object.keys(spec.key).map(field => `${field}_${spec.key[field]}`).join('_'));
+    },
+    async dropIndex(name) {
+      state.dropped.push(name);
+    }
+  };
+  return state;
+}
+
+async function setup(t, state, overrides = {}) {
+  internals.activeConnections.set('idx', fakeConnection(state.collection, overrides));
+  const server = await listen(app);
+  t.after(() => server.close());
+  return server;
+}
+
+test('listagem inclui uso via $indexStats e exige manageIndexes', async t => {
+  const server = await setup(t, indexedCollection());
+
+  const listed = await server.request('GET', '/indexes/idx/orders', { headers: dba });
+  assert.equal(listed.status, 200);
+  assert.deepEqual(listed.body.indexes.map(index => index.name), ['_id_', 'status_1']);
+  assert.equal(listed.body.indexes[0].usage, null);
+  assert.equal(listed.body.indexes[1].usage.ops, 42);
+
+  const denied = await server.request('GET', '/indexes/idx/orders', { headers: reader });
+  assert.equal(denied.status, 403);
+});
+
+test('$indexStats sem privilégio não derruba a listagem', async t => {
+  const server = await setup(t, indexedCollection({ indexStatsError: new Error('not authorized on db to execute command') }));
+
+  const listed = await server.request('GET', '/indexes/idx/orders', { headers: dba });
+  assert.equal(listed.status, 200);
+  assert.equal(listed.body.indexes.length, 2);
+  assert.match(listed.body.usageError, /not authorized/);
+});
+
+test('criação repassa opções conhecidas e revive partialFilterExpression', async t => {
+  const state = indexedCollection();
+  const server = await setup(t, state);
+  const id = new ObjectId();
+
+  const created = await server.request('POST', '/indexes/idx/orders', {
+    headers: dba,
+    body: {
+      indexes: [
+        { key: { createdAt: 1 }, options: { expireAfterSeconds: 3600 } },
+        { key: { sku: 1, store: -1 }, options: { unique: true, partialFilterExpression: { store: { $oid: id.toHexString() } } } },
+        { key: { title: 'text' }, options: { name: 'busca', weights: { title: 5 } } },
+        { key: { location: '2dsphere' } }
+      ]
+    }
+  });
+
+  assert.equal(created.status, 201);
+  assert.deepEqual(created.body.created, ['createdAt_1', 'sku_1_store_-1', 'busca', 'location_2dsphere']);
+  assert.equal(state.created[0].expireAfterSeconds, 3600);
+  assert.ok(state.created[1].partialFilterExpression.store instanceof ObjectId);
+  assert.equal(state.created[1].unique, true);
+});
+
+test('especificações inválidas são recusadas antes do driver', async t => {
+  const state = indexedCollection();
+  const server = await setup(t, state);
+  const create = body => server.request('POST', '/indexes/idx/orders', { headers: dba, body });
+
+  const badDirection = await create({ key: { a: 2 } });
+  assert.equal(badDirection.status, 400);
+  assert.equal(badDirection.body.errors[0].code, 'INVALID_INDEX_KEY');
+
+  const unknownOption = await create({ key: { a: 1 }, options: { background: true, storageEngine: {} } });
+  assert.equal(unknownOption.status, 400);
+  assert.equal(unknownOption.body.errors[0].code, 'UNKNOWN_INDEX_OPTION');
+
+  const negativeTtl = await create({ key: { a: 1 }, options: { expireAfterSeconds: -1 } });
+  assert.equal(negativeTtl.status, 400);
+
+  assert.deepEqual(state.created, []);
+});
+
+test('remoção protege _id_ e conexões somente leitura', async t => {
+  const state = indexedCollection();
+  const server = await setup(t, state);
+
+  const idIndex = await server.request('DELETE', '/indexes/idx/orders/_id_', { headers: dba });
+  assert.equal(idIndex.status, 400);
+
+  const dropped = await server.request('DELETE', '/indexes/idx/orders/status_1', { headers: dba });
+  assert.equal(dropped.status, 200);
+  assert.deepEqual(state.dropped, ['status_1']);
+
+  internals.activeConnections.get('idx').safety = { readOnly: true };
+  const readOnly = await server.request('DELETE', '/indexes/idx/orders/status_1', { headers: dba });
+  assert.equal(readOnly.status, 403);
+  const createReadOnly = await server.request('POST', '/indexes/idx/orders', { headers: dba, body: { key: { a: 1 } } });
+  assert.equal(createReadOnly.status, 403);
+  assert.deepEqual(state.dropped, ['status_1']);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { loadProxy, listen, fakeConnection, fakeCursor } = require('./helpers');
+
+const app = loadProxy({ PROXY_METRICS_PUBLIC: 'true' });
+const { internals } = app;
+
+// Valor da série exata (nome + labels) no texto do Prometheus
+function sample(text, series) {
+  const line = text.split('\n').find(candidate => candidate.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+test('/metrics expõe requests, operações, tamanho de resultado e erros', async t => {
+  internals.activeConnections.set('m', fakeConnection({
+    find: () => fakeCursor([{ a: 1 }, { a: 2 }, { a: 3 }]),
+    async insertOne() { throw Object.assign(new Error('dup'), { name: 'MongoServerError', code: 11000 }); }
+  }));
+  const server = await listen(app);
+  t.after(() => server.close());
+
+  await server.request('POST', '/query', { body: { connectionId: 'm', collection: 'orders', operation: 'find', query: {} } });
+  await server.request('POST', '/query', { body: { connectionId: 'm', collection: 'orders', operation: 'insertOne', document: { a: 1 } } });
+
+  const response = await server.request('GET', '/metrics');
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+
+  const text = response.text;
+  assert.match(text, /# TYPE mongo_proxy_http_requests_total counter/);
+  assert.equal(sample(text, 'mongo_proxy_http_requests_total{method="POST",route="/query",status="200"}'), 1);
+  assert.equal(sample(text, 'mongo_proxy_http_requests_total{method="POST",route="/query",status="409"}'), 1);
+  assert.equal(sample(text, 'mongo_proxy_operations_total{operation="find",collection="orders",outcome="ok"}'), 1);
+  assert.equal(sample(text, 'mongo_proxy_operations_total{operation="insertOne",collection="orders",outcome="error"}'), 1);
+  assert.equal(sample(text, 'mongo_proxy_operation_result_documents_bucket{operation="find",collection="orders",le="1"}'), 0);
+  assert.equal(sample(text, 'mongo_proxy_operation_result_documents_bucket{operation="find",collection="orders",le="10"}'), 1);
+  assert.equal(sample(text, 'mongo_proxy_operation_result_documents_sum{operation="find",collection="orders"}'), 3);
+  assert.equal(sample(text, 'mongo_proxy_errors_total{code="DUPLICATE_KEY",mongo_code="11000"}'), 1);
+  assert.equal(sample(text, 'mongo_proxy_active_connections'), internals.activeConnections.size);
+});
+
+test('eventos do pool do driver alimentam as métricas do pool', () => {
+  const client = new EventEmitter();
+  internals.instrumentClientPool(client);
+  const address = 'db.example:27017';
+
+  client.emit('connectionCreated', { address });
+  client.emit('connectionCreated', { address });
+  client.emit('connectionClosed', { address });
+  client.emit('connectionCheckedOut', { address, durationMS: 20 });
+  client.emit('connectionCheckOutFailed', { address, reason: 'timeout' });
+  client.emit('connectionPoolCleared', { address });
+
+  const text = internals.renderMetrics();
+  assert.equal(sample(text, `mongo_proxy_pool_connections{address="${address}"}`), 1);
+  assert.equal(sample(text, `mongo_proxy_pool_checked_out_connections{address="${address}"}`), 1);
+  assert.equal(sample(text, `mongo_proxy_pool_checkout_wait_seconds_bucket{address="${address}",le="0.025"}`), 1);
+  assert.equal(sample(text, `mongo_proxy_pool_checkout_failures_total{address="${address}",reason="timeout"}`), 1);
+  assert.equal(sample(text, `mongo_proxy_pool_cleared_total{address="${address}"}`), 1);
+});
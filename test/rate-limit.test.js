@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProxy, listen, fakeCursor, fakeConnection } = require('./helpers');
+
+const scopes = { connectionIds: '*', databases: '*', collections: '*', operations: '*' };
+const app = loadProxy({
+  PROXY_ALLOW_ANONYMOUS: 'false',
+  PROXY_READ_MAX_TIME_MS: '1000',
+  PROXY_READ_MAX_TIME_MS_CAP: '5000',
+  PROXY_API_KEYS: JSON.stringify([
+    { id: 'bursty', key: 'bursty-key', scopes },
+    { id: 'analyst', key: 'analyst-key', scopes },
+    { id: 'quota', key: 'quota-key', scopes }
+  ]),
+  PROXY_RATE_LIMITS: JSON.stringify({
+    clients: { bursty: { rate: 1, burst: 2 }, quota: { maxConnections: 1 } },
+    operations: { aggregate: { maxInFlight: 1 } }
+  })
+});
+const { internals } = app;
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('takeRateToken: burst inicial e segundos até o próximo token', () => {
+  const limit = { rate: 2, burst: 3 };
+  assert.equal(internals.takeRateToken('unit', limit), 0);
+  assert.equal(internals.takeRateToken('unit', limit), 0);
+  assert.equal(internals.takeRateToken('unit', limit), 0);
+  assert.equal(internals.takeRateToken('unit', limit), 1);
+});
+
+test('applyReadTimeLimit: padrão e teto só em leituras', () => {
+  assert.equal(internals.applyReadTimeLimit('find', { options: {} }).options.maxTimeMS, 1000);
+  assert.equal(internals.applyReadTimeLimit('aggregate', { options: { maxTimeMS: 60000 } }).options.maxTimeMS, 5000);
+  assert.equal(internals.applyReadTimeLimit('countDocuments', { options: { maxTimeMS: 2000 } }).options.maxTimeMS, 2000);
+  assert.deepEqual(internals.applyReadTimeLimit('updateOne', { options: {} }), { options: {} });
+});
+
+test('excesso de taxa do cliente responde 429 com Retry-After', async t => {
+  const calls = [];
+  internals.activeConnections.set('rl', fakeConnection({
+    find(query, options) {
+      calls.push(options);
+      return fakeCursor([]);
+    }
+  }));
+  const server = await listen(app);
+  t.after(() => server.close());
+  const find = key => server.request('POST', '/query', {
+    headers: { 'X-API-Key': key },
+    body: { connectionId: 'rl', collection: 'orders', operation: 'find', query: {} }
+  });
+
+  assert.equal((await find('bursty-key')).status, 200);
+  assert.equal((await find('bursty-key')).status, 200);
+  const limited = await find('bursty-key');
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.code, 'RATE_LIMITED');
+  assert.equal(limited.body.scope, 'client');
+  assert.equal(limited.headers.get('retry-after'), '1');
+
+  // Outro cliente tem o próprio bucket; leituras levam o maxTimeMS padrão
+  assert.equal((await find('analyst-key')).status, 200);
+  assert.equal(calls[0].maxTimeMS, 1000);
+});
+
+test('maxInFlight por operação limita aggregates simultâneos do cliente', async t => {
+  let release;
+  const blocked = new Promise(resolve => { release = resolve; });
+  internals.activeConnections.set('slow', fakeConnection({
+    aggregate() {
+      const cursor = fakeCursor([]);
+      cursor.toArray = async () => {
+        await blocked;
+        return [];
+      };
+      return cursor;
+    }
+  }));
+  const server = await listen(app);
+  t.after(() => server.close());
+  const aggregate = () => server.request('POST', '/query', {
+    headers: { 'X-API-Key': 'analyst-key' },
+    body: { connectionId: 'slow', collection: 'orders', operation: 'aggregate', pipeline: [] }
+  });
+
+  const first = aggregate();
+  await delay(50);
+  const second = await aggregate();
+  assert.equal(second.status, 429);
+  assert.equal(second.body.code, 'TOO_MANY_IN_FLIGHT');
+  assert.equal(second.body.scope, 'operation');
+
+  release();
+  assert.equal((await first).status, 200);
+  assert.equal((await aggregate()).status, 200);
+});
+
+test('maxConnections limita as conexões abertas pelo cliente', async t => {
+  internals.activeConnections.set('quota-1', fakeConnection({}, { owner: 'quota' }));
+  const server = await listen(app);
+  t.after(() => {
+    internals.activeConnections.delete('quota-1');
+    return server.close();
+  });
+
+  const response = await server.request('POST', '/connect', {
+    headers: { 'X-API-Key': 'quota-key' },
+    body: { connectionId: 'quota-2', mongoUrl: 'mongodb://127.0.0.1:1/test', database: 'test' }
+  });
+  assert.equal(response.status, 429);
+  assert.equal(response.body.code, 'TOO_MANY_CONNECTIONS');
+  assert.equal(response.headers.get('retry-after'), '60');
+});
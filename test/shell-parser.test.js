@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProxy, listen, fakeCursor, fakeConnection } = require('./helpers');
+
+const app = loadProxy();
+const { internals } = app;
+const { ObjectId, Long, Int32, Decimal128, BSONRegExp, UUID } = require('mongodb');
+
+test('parseShellQuery aceita chaves sem aspas, aspas simples, vírgula final e comentários', () => {
+  const parsed = internals.parseShellQuery(`{
+    status: 'active', // comentário de linha
+    "total": { $gte: -1.5e2, },
+    /* bloco */ tags: ['a', "b"],
+  }`);
+
+  assert.deepEqual(parsed, { status: 'active', total: { $gte: -150 }, tags: ['a', 'b'] });
+});
+
+test('parseShellQuery constrói os tipos dos construtores do shell, com ou sem new', () => {
+  const parsed = internals.parseShellQuery(`{
+    _id: ObjectId("5f0000000000000000000001"),
+    at: new ISODate('2024-01-02T03:04:05Z'),
+    big: NumberLong("9007199254740993"),
+    small: NumberInt(7),
+    price: NumberDecimal("10.25"),
+    id: UUID("0e0b8f7a-6d1e-4a52-9b0e-3f4b9b6a2c11"),
+    name: /^ab\\/c[/]d/i
+  }`);
+
+  assert.ok(parsed._id instanceof ObjectId);
+  assert.equal(parsed.at.toISOString(), '2024-01-02T03:04:05.000Z');
+  assert.ok(parsed.big instanceof Long);
+  assert.equal(parsed.big.toString(), '9007199254740993');
+  assert.ok(parsed.small instanceof Int32);
+  assert.ok(parsed.price instanceof Decimal128);
+  assert.ok(parsed.id instanceof UUID);
+  assert.ok(parsed.name instanceof BSONRegExp);
+  assert.equal(parsed.name.pattern, '^ab\\/c[/]d');
+  assert.equal(parsed.name.options, 'i');
+});
+
+test('parseShellQuery aponta linha e coluna do erro de sintaxe', () => {
+  assert.throws(() => internals.parseShellQuery('{\n  a: 1,\n  b: }'), error => {
+    assert.equal(error.name, 'ShellParseError');
+    assert.equal(error.line, 3);
+    assert.equal(error.column, 6);
+    return true;
+  });
+  assert.throws(() => internals.parseShellQuery("{ a: 'aberta }"), /String não fechada/);
+  assert.throws(() => internals.parseShellQuery('{ a: Foo(1) }'), /Identificador desconhecido 'Foo'/);
+  assert.throws(() => internals.parseShellQuery('{ a: ObjectId("xyz") }'), /ObjectId\(\) inválido/);
+  assert.throws(() => internals.parseShellQuery('{ a: 1 } extra'), /Conteúdo inesperado/);
+});
+
+test('parseRawQuery também converte wrappers Extended JSON e nunca devolve {} em erro', () => {
+  const parsed = internals.parseRawQuery('{ storeId: { $oid: "5f0000000000000000000001" } }');
+  assert.ok(parsed.storeId instanceof ObjectId);
+  assert.deepEqual(internals.parseRawQuery(''), {});
+  assert.throws(() => internals.parseRawQuery('{ a: '));
+});
+
+test('/query responde 400 QUERY_SYNTAX_ERROR com a posição do erro', async t => {
+  let called = false;
+  internals.activeConnections.set('shell', fakeConnection({
+    find() {
+      called = true;
+      return fakeCursor([]);
+    }
+  }));
+  const server = await listen(app);
+  t.after(() => server.close());
+
+  const response = await server.request('POST', '/query', {
+    body: { connectionId: 'shell', collection: 'orders', operation: 'deleteMany', rawQuery: '{ status: }' }
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.code, 'QUERY_SYNTAX_ERROR');
+  assert.equal(response.body.parseError.line, 1);
+  assert.equal(response.body.parseError.column, 11);
+  assert.equal(called, false);
+});
+
+test('/query usa o rawQuery como filtro do find', async t => {
+  let receivedQuery = null;
+  internals.activeConnections.set('shell', fakeConnection({
+    find(query) {
+      receivedQuery = query;
+      return fakeCursor([]);
+    }
+  }));
+  const server = await listen(app);
+  t.after(() => server.close());
+
+  const response = await server.request('POST', '/query', {
+    body: { connectionId: 'shell', collection: 'orders', operation: 'find', rawQuery: "{ createdAt: { $gte: ISODate('2024-01-01') } }" }
+  });
+
+  assert.equal(response.status, 200);
+  assert.ok(receivedQuery.createdAt.$gte instanceof Date);
+});
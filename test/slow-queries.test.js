@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { loadProxy, listen, fakeConnection, fakeCursor } = require('./helpers');
+
+const app = loadProxy({ PROXY_SLOW_QUERY_MS: '20', PROXY_SLOW_QUERY_BUFFER_SIZE: '2' });
+const { internals } = app;
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// find cujo toArray demora ms
+function slowFind(ms) {
+  return () => {
+    const cursor = fakeCursor([{ a: 1 }]);
+    const toArray = cursor.toArray;
+    cursor.toArray = async () => {
+      await delay(ms);
+      return toArray();
+    };
+    return cursor;
+  };
+}
+
+test('normalizeQueryShape troca valores por ? e mantém operadores', () => {
+  assert.deepEqual(
+    internals.normalizeQueryShape({ status: 'paid', total: { $gt: 10 }, tags: { $in: ['a', 'b'] }, $or: [{ a: 1 }, { b: new ObjectId() }] }),
+    { status: '?', total: { $gt: '?' }, tags: { $in: '?' }, $or: [{ a: '?' }, { b: '?' }] }
+  );
+});
+
+test('operações acima do limite entram no ring buffer sem valores', async t => {
+  internals.activeConnections.set('slow', fakeConnection({ find: slowFind(40) }));
+  internals.activeConnections.set('fast', fakeConnection({ find: () => fakeCursor([]) }));
+  const server = await listen(app);
+  t.after(() => server.close());
+
+  const find = (connectionId, collection, query) => server.request('POST', '/query', {
+    body: { connectionId, collection, operation: 'find', query, options: { sort: { createdAt: -1 } } }
+  });
+
+  await find('fast', 'orders', { status: 'paid' });
+  let listed = await server.request('GET', '/slow-queries');
+  assert.equal(listed.status, 200);
+  assert.equal(listed.body.thresholdMS, 20);
+  assert.deepEqual(listed.body.slowQueries, []);
+
+  await find('slow', 'orders', { email: 'a@b.c' });
+  await find('slow', 'users', { status: 'x' });
+  await find('slow', 'orders', { status: 'y' });
+
+  listed = await server.request('GET', '/slow-queries');
+  assert.equal(listed.body.capacity, 2);
+  assert.deepEqual(listed.body.slowQueries.map(entry => entry.collection), ['orders', 'users']);
+
+  const [latest] = listed.body.slowQueries;
+  assert.equal(latest.operation, 'find');
+  assert.ok(latest.durationMs >= 20);
+  assert.deepEqual(latest.shape.filter, { status: '?' });
+  assert.deepEqual(latest.shape.sort, { createdAt: '?' });
+  assert.equal(listed.text.includes('a@b.c'), false);
+
+  const filtered = await server.request('GET', '/slow-queries?collection=users');
+  assert.deepEqual(filtered.body.slowQueries.map(entry => entry.collection), ['users']);
+});
+
+test('summarizeExplain resume o plano vencedor', () => {
+  const summary = internals.summarizeExplain({
+    queryPlanner: {
+      winningPlan: { stage: 'FETCH', inputStage: { stage: 'IXSCAN', indexName: 'status_1' } },
+      rejectedPlans: [{ stage: 'COLLSCAN' }]
+    },
+    executionStats: { nReturned: 3, totalKeysExamined: 3, totalDocsExamined: 3, executionTimeMillis: 1 }
+  });
+
+  assert.deepEqual(summary.stages, ['FETCH', 'IXSCAN']);
+  assert.deepEqual(summary.indexesUsed, ['status_1']);
+  assert.equal(summary.collectionScan, false);
+  assert.equal(summary.nReturned, 3);
+});
+
+test('/explain usa o explain do driver com a verbosidade pedida', async t => {
+  const calls = [];
+  const explainable = (kind, args) => ({
+    async explain(verbosity) {
+      calls.push({ kind, args, verbosity });
+      return { queryPlanner: { winningPlan: { stage: 'COLLSCAN' } } };
+    }
+  });
+  internals.activeConnections.set('exp', fakeConnection({
+    find: (...args) => explainable('find', args),
+    aggregate: (...args) => explainable('aggregate', args)
+  }));
+  const server = await listen(app);
+  t.after(() => server.close());
+
+  const found = await server.request('POST', '/explain', {
+    body: { connectionId: 'exp', collection: 'orders', operation: 'find', query: { a: 1 }, verbosity: 'executionStats' }
+  });
+  assert.equal(found.status, 200);
+  assert.equal(found.body.summary.collectionScan, true);
+  assert.deepEqual(calls[0].args[0], { a: 1 });
+  assert.equal(calls[0].verbosity, 'executionStats');
+
+  const counted = await server.request('POST', '/explain', {
+    body: { connectionId: 'exp', collection: 'orders', operation: 'countDocuments', query: { a: 1 } }
+  });
+  assert.equal(counted.status, 200);
+  assert.equal(calls[1].kind, 'aggregate');
+  assert.deepEqual(calls[1].args[0], [{ $match: { a: 1 } }, { $group: { _id: 1, n: { $sum: 1 } } }]);
+  assert.equal(calls[1].verbosity, 'queryPlanner');
+
+  const write = await server.request('POST', '/explain', {
+    body: { connectionId: 'exp', collection: 'orders', operation: 'deleteMany', query: {} }
+  });
+  assert.equal(write.status, 400);
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { loadProxy, listen, fakeCursor, fakeConnection } = require('./helpers');
+
+const franchiseId = new ObjectId('5f0000000000000000000001');
+const app = loadProxy({
+  PROXY_ALLOW_ANONYMOUS: 'false',
+  PROXY_API_KEYS: JSON.stringify([{
+    id: 'franchise-1',
+    key: 'tenant-key',
+    scopes: {
+      connectionIds: '*',
+      databases: '*',
+      collections: '*',
+      operations: '*',
+      tenant: { bindings: { franchiseId: { $oid: franchiseId.toHexString() } }, collections: ['orders', 'stores'] }
+    }
+  }])
+});
+const { internals } = app;
+
+const headers = { 'X-API-Key': 'tenant-key' };
+const rules = [internals.normalizeTenantRule({ bindings: { franchiseId: { $oid: franchiseId.toHexString() } }, collections: ['orders', 'stores'] })];
+
+test('filtros de leitura, update e delete recebem os bindings', () => {
+  for (const operation of ['find', 'findOne', 'countDocuments', 'distinct']) {
+    assert.deepEqual(internals.applyTenantScope(rules, 'orders', operation, { query: { status: 'paid' } }).query, { status: 'paid', franchiseId });
+  }
+  for (const operation of ['deleteOne', 'deleteMany', 'findOneAndDelete']) {
+    assert.deepEqual(internals.applyTenantScope(rules, 'orders', operation, { filter: {} }).filter, { franchiseId });
+  }
+  assert.deepEqual(internals.applyTenantScope(rules, 'products', 'find', { query: { a: 1 } }).query, { a: 1 });
+
+  // O mesmo valor (literal ou $eq) é aceito; outro valor é violação
+  assert.deepEqual(internals.applyTenantScope(rules, 'orders', 'find', { query: { franchiseId: { $eq: franchiseId } } }).query, { franchiseId });
+  assert.throws(
+    () => internals.applyTenantScope(rules, 'orders', 'find', { query: { franchiseId: { $ne: franchiseId } } }),
+    error => error.code === 'TENANT_SCOPE_VIOLATION'
+  );
+});
+
+test('inserts e replaces são carimbados; updates não alteram o campo', () => {
+  const inserted = internals.applyTenantScope(rules, 'orders', 'insertMany', { document: [{ a: 1 }, { a: 2, franchiseId }] });
+  assert.deepEqual(inserted.document, [{ a: 1, franchiseId }, { a: 2, franchiseId }]);
+
+  assert.throws(() => internals.applyTenantScope(rules, 'orders', 'insertOne', { document: { franchiseId: new ObjectId() } }));
+  assert.throws(() => internals.applyTenantScope(rules, 'orders', 'updateMany', { filter: {}, document: { $unset: { franchiseId: '' } } }));
+  assert.throws(() => internals.applyTenantScope(rules, 'orders', 'updateOne', { filter: {}, document: [{ $replaceWith: { a: 1 } }] }));
+
+  const update = internals.applyTenantScope(rules, 'orders', 'updateOne', { filter: { a: 1 }, document: { $set: { b: 2, franchiseId } } });
+  assert.deepEqual(update.filter, { a: 1, franchiseId });
+
+  assert.throws(
+    () => internals.applyTenantScope(rules, 'orders', 'estimatedDocumentCount', {}),
+    error => error.code === 'TENANT_SCOPE_VIOLATION'
+  );
+});
+
+test('aggregate recebe $match no início e nos sub-pipelines que leem outras collections', () => {
+  const { pipeline } = internals.applyTenantScope(rules, 'orders', 'aggregate', {
+    pipeline: [
+      { $lookup: { from: 'stores', localField: 'storeId', foreignField: '_id', as: 'store' } },
+      { $lookup: { from: 'products', localField: 'sku', foreignField: 'sku', as: 'product' } },
+      { $unionWith: 'stores' },
+      { $facet: { recent: [{ $lookup: { from: 'orders', pipeline: [], as: 'siblings' } }] } }
+    ]
+  });
+
+  assert.deepEqual(pipeline, [
+    { $match: { franchiseId } },
+    { $lookup: { from: 'stores', localField: 'storeId', foreignField: '_id', as: 'store', pipeline: [{ $match: { franchiseId } }] } },
+    { $lookup: { from: 'products', localField: 'sku', foreignField: 'sku', as: 'product' } },
+    { $unionWith: { coll: 'stores', pipeline: [{ $match: { franchiseId } }] } },
+    { $facet: { recent: [{ $lookup: { from: 'orders', pipeline: [{ $match: { franchiseId } }], as: 'siblings' } }] } }
+  ]);
+});
+
+test('/query impõe o escopo da API key e rejeita sobrescritas', async t => {
+  const calls = [];
+  internals.activeConnections.set('tenant', fakeConnection({
+    find(query) {
+      calls.push({ name: 'find', query });
+      return fakeCursor([]);
+    },
+    async insertOne(document) {
+      calls.push({ name: 'insertOne', document });
+      return { acknowledged: true, insertedId: 1 };
+    },
+    async countDocuments() { return 2; },
+    async deleteMany(filter) {
+      calls.push({ name: 'deleteMany', filter });
+      return { deletedCount: 2 };
+    }
+  }));
+  const server = await listen(app);
+  t.after(() => server.close());
+  const query = body => server.request('POST', '/query', { headers, body: { connectionId: 'tenant', collection: 'orders', ...body } });
+
+  assert.equal((await query({ operation: 'find', query: { status: 'paid' } })).status, 200);
+  assert.deepEqual(calls[0].query, { status: 'paid', franchiseId });
+
+  assert.equal((await query({ operation: 'insertOne', document: { a: 1 } })).status, 200);
+  assert.deepEqual(calls[1].document, { a: 1, franchiseId });
+
+  const override = await query({ operation: 'find', query: { franchiseId: { $oid: new ObjectId().toHexString() } } });
+  assert.equal(override.status, 403);
+  assert.equal(override.body.code, 'TENANT_SCOPE_VIOLATION');
+
+  // Os bindings não contam como filtro: deleteMany {} continua exigindo confirmAll
+  const unconfirmed = await query({ operation: 'deleteMany', filter: {} });
+  assert.equal(unconfirmed.status, 400);
+  assert.equal(unconfirmed.body.code, 'EMPTY_FILTER_REQUIRES_CONFIRMATION');
+
+  assert.equal((await query({ operation: 'deleteMany', filter: {}, confirmAll: true })).status, 200);
+  assert.deepEqual(calls[2].filter, { franchiseId });
+});
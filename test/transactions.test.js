@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProxy, listen, fakeConnection } = require('./helpers');
+
+const app = loadProxy();
+const { internals } = app;
+
+// Sessão falsa do driver: registra as chamadas; withTransaction repete o callback `retries` vezes
+function fakeSession({ retries = 0, commitError = null } = {}) {
+  const session = {
+    calls: [],
+    startTransaction(options) { session.calls.push(['start', options]); },
+    async commitTransaction() {
+      session.calls.push(['commit']);
+      if (commitError) throw commitError;
+    },
+    async abortTransaction() { session.calls.push(['abort']); },
+    async endSession() { session.calls.push(['end']); },
+    async withTransaction(fn, options) {
+      session.calls.push(['withTransaction', options]);
+      for (let attempt = 0; attempt < retries; attempt++) await fn();
+      await fn();
+    }
+  };
+  return session;
+}
+
+// Conexão cujo client abre a sessão informada e cuja collection registra os inserts
+function transactionalConnection(session) {
+  const inserts = [];
+  const connection = fakeConnection({
+    async insertOne(document, options) {
+      inserts.push({ document, session: options.session });
+      return { acknowledged: true, insertedId: document._id };
+    }
+  }, {
+    client: { startSession: () => session, close: async () => {} }
+  });
+  return { connection, inserts };
+}
+
+async function setup(t, session) {
+  const { connection, inserts } = transactionalConnection(session);
+  internals.activeConnections.set('tx', connection);
+  const server = await listen(app);
+  t.after(() => server.close());
+  return { server, inserts };
+}
+
+test('operações com transactionId usam a sessão e o commit a encerra', async t => {
+  const session = fakeSession();
+  const { server, inserts } = await setup(t, session);
+
+  const started = await server.request('POST', '/transactions', {
+    body: { connectionId: 'tx', options: { writeConcern: { w: 'majority' }, ignored: true } }
+  });
+  assert.equal(started.status, 200);
+  const { transactionId } = started.body;
+  assert.deepEqual(session.calls[0], ['start', { writeConcern: { w: 'majority' } }]);
+
+  const insert = await server.request('POST', '/query', {
+    body: { connectionId: 'tx', collection: 'orders', operation: 'insertOne', document: { _id: 1 }, transactionId }
+  });
+  assert.equal(insert.status, 200);
+  assert.equal(inserts[0].session, session);
+
+  const committed = await server.request('POST', `/transactions/${transactionId}/commit`);
+  assert.equal(committed.status, 200);
+  assert.deepEqual(session.calls.slice(1).map(([name]) => name), ['commit', 'end']);
+
+  const again = await server.request('POST', `/transactions/${transactionId}/commit`);
+  assert.equal(again.status, 404);
+  assert.equal(again.body.code, 'TRANSACTION_NOT_FOUND');
+});
+
+test('abort descarta a transação; resultMode cursor é recusado dentro dela', async t => {
+  const session = fakeSession();
+  const { server } = await setup(t, session);
+
+  const { body: { transactionId } } = await server.request('POST', '/transactions', { body: { connectionId: 'tx' } });
+  const cursor = await server.request('POST', '/query', {
+    body: { connectionId: 'tx', collection: 'orders', operation: 'find', resultMode: 'cursor', transactionId }
+  });
+  assert.equal(cursor.status, 400);
+
+  const aborted = await server.request('POST', `/transactions/${transactionId}/abort`);
+  assert.equal(aborted.status, 200);
+  assert.deepEqual(session.calls.slice(1).map(([name]) => name), ['abort', 'end']);
+  assert.equal(internals.activeTransactions.has(transactionId), false);
+});
+
+test('commit com resultado desconhecido mantém a transação para nova tentativa', async t => {
+  const commitError = Object.assign(new Error('connection reset'), {
+    hasErrorLabel: label => label === 'UnknownTransactionCommitResult'
+  });
+  const session = fakeSession({ commitError });
+  const { server } = await setup(t, session);
+
+  const { body: { transactionId } } = await server.request('POST', '/transactions', { body: { connectionId: 'tx' } });
+  const failed = await server.request('POST', `/transactions/${transactionId}/commit`);
+  assert.ok(failed.status >= 500);
+  assert.equal(internals.activeTransactions.has(transactionId), true);
+
+  session.calls.length = 0;
+  const aborted = await server.request('POST', `/transactions/${transactionId}/abort`);
+  assert.equal(aborted.status, 200);
+});
+
+test('transações abandonadas são abortadas após o timeout', async t => {
+  const session = fakeSession();
+  const { server } = await setup(t, session);
+
+  const { body: { transactionId, expiresAt } } = await server.request('POST', '/transactions', {
+    body: { connectionId: 'tx', timeoutMS: 1 }
+  });
+  assert.ok(expiresAt);
+  await new Promise(resolve => setTimeout(resolve, 10));
+  await internals.reapTransactions();
+
+  assert.equal(internals.activeTransactions.has(transactionId), false);
+  assert.deepEqual(session.calls.slice(1).map(([name]) => name), ['abort', 'end']);
+});
+
+test('/transactions/run refaz as operações quando withTransaction repete o callback', async t => {
+  const session = fakeSession({ retries: 1 });
+  const { server, inserts } = await setup(t, session);
+
+  const response = await server.request('POST', '/transactions/run', {
+    body: {
+      connectionId: 'tx',
+      operations: [
+        { collection: 'orders', operation: 'insertOne', document: { _id: 1 } },
+        { collection: 'orders', operation: 'insertOne', document: { _id: 2 } }
+      ]
+    }
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.committed, true);
+  assert.equal(response.body.attempts, 2);
+  assert.deepEqual(response.body.results.map(result => result.data.insertedId), [1, 2]);
+  assert.equal(inserts.length, 4);
+  assert.ok(inserts.every(insert => insert.session === session));
+  assert.deepEqual(session.calls.at(-1), ['end']);
+});
+
+test('/transactions/run valida todas as operações antes de abrir a sessão', async t => {
+  const session = fakeSession();
+  const { server } = await setup(t, session);
+
+  const response = await server.request('POST', '/transactions/run', {
+    body: {
+      connectionId: 'tx',
+      operations: [
+        { collection: 'orders', operation: 'insertOne', document: { _id: 1 } },
+        { collection: 'orders', operation: 'dropDatabase' }
+      ]
+    }
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.errors[0].path, '/operations/1/operation');
+  assert.equal(session.calls.length, 0);
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProxy, listen, fakeConnection } = require('./helpers');
+
+const app = loadProxy();
+const { internals } = app;
+
+function driverError(name, code, extra = {}) {
+  return Object.assign(new Error(`${name} ${code}`), { name, code, ...extra });
+}
+
+test('validateSchema acumula erros com JSON pointer', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      name: { type: 'string', required: true, minLength: 1 },
+      tags: { type: 'array', items: { type: 'string' } },
+      'a/b': { type: 'integer', minimum: 1 }
+    }
+  };
+
+  const errors = internals.validateSchema({ name: '', tags: ['x', 2], 'a/b': 0 }, schema);
+  assert.deepEqual(errors.map(error => [error.code, error.path]), [
+    ['TOO_SHORT', '/name'],
+    ['INVALID_TYPE', '/tags/1'],
+    ['OUT_OF_RANGE', '/a~1b']
+  ]);
+  assert.deepEqual(internals.validateSchema({}, schema).map(error => error.code), ['REQUIRED']);
+});
+
+test('regras de update e replacement', () => {
+  assert.equal(internals.validateSchema({ a: 1 }, { type: 'object', rule: 'updateDocument' })[0].code, 'INVALID_UPDATE_DOCUMENT');
+  assert.deepEqual(internals.validateSchema([{ $set: { a: 1 } }], { type: ['object', 'array'], rule: 'updateDocument' }), []);
+  assert.equal(internals.validateSchema({ $set: {} }, { type: 'object', rule: 'replacementDocument' })[0].code, 'INVALID_REPLACEMENT_DOCUMENT');
+});
+
+test('classifyError mapeia erros do driver para status HTTP', () => {
+  const cases = [
+    [driverError('MongoServerError', 11000, { keyValue: { sku: 'a' } }), 409, 'DUPLICATE_KEY'],
+    [driverError('MongoServerError', 18), 401, 'MONGO_AUTHENTICATION_FAILED'],
+    [driverError('MongoServerError', 13), 403, 'MONGO_UNAUTHORIZED'],
+    [driverError('MongoServerError', 50), 504, 'MONGO_TIMEOUT'],
+    [driverError('MongoServerSelectionError'), 503, 'MONGO_UNAVAILABLE'],
+    [driverError('MongoServerError', 2), 400, 'INVALID_QUERY'],
+    [driverError('MongoServerError', 8000), 500, 'MONGO_SERVER_ERROR'],
+    [new TypeError('boom'), 500, 'INTERNAL_ERROR']
+  ];
+  for (const [error, status, code] of cases) {
+    const classified = internals.classifyError(error);
+    assert.equal(classified.status, status, code);
+    assert.equal(classified.code, code);
+  }
+  assert.deepEqual(internals.classifyError(cases[0][0]).details.keyValue, { sku: 'a' });
+});
+
+test('/query valida o body antes de chegar ao driver', async t => {
+  let called = false;
+  internals.activeConnections.set('val', fakeConnection({
+    async insertMany() { called = true; },
+    async updateOne() { called = true; }
+  }));
+  const server = await listen(app);
+  t.after(() => server.close());
+
+  const missing = await server.request('POST', '/query', { body: { connectionId: 'val' } });
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.code, 'VALIDATION_FAILED');
+  assert.deepEqual(missing.body.errors.map(error => error.path).sort(), ['/collection', '/operation']);
+
+  const notArray = await server.request('POST', '/query', {
+    body: { connectionId: 'val', collection: 'c', operation: 'insertMany', document: { a: 1 } }
+  });
+  assert.equal(notArray.status, 400);
+  assert.equal(notArray.body.errors[0].code, 'INVALID_TYPE');
+
+  const noOperators = await server.request('POST', '/query', {
+    body: { connectionId: 'val', collection: 'c', operation: 'updateOne', filter: { a: 1 }, document: { b: 2 } }
+  });
+  assert.equal(noOperators.status, 400);
+  assert.equal(noOperators.body.errors[0].code, 'INVALID_UPDATE_DOCUMENT');
+  assert.equal(called, false);
+});
+
+test('envelope de erro padrão sem stack trace', async t => {
+  internals.activeConnections.set('dup', fakeConnection({
+    async insertOne() { throw driverError('MongoServerError', 11000, { keyPattern: { sku: 1 }, keyValue: { sku: 'a' } }); },
+    async findOne() { throw new Error('falha interna'); }
+  }));
+  const server = await listen(app);
+  t.after(() => server.close());
+
+  const duplicate = await server.request('POST', '/query', {
+    body: { connectionId: 'dup', collection: 'c', operation: 'insertOne', document: { sku: 'a' } }
+  });
+  assert.equal(duplicate.status, 409);
+  assert.equal(duplicate.body.success, false);
+  assert.equal(duplicate.body.code, 'DUPLICATE_KEY');
+  assert.equal(duplicate.body.mongoCode, 11000);
+  assert.ok(duplicate.body.timestamp);
+
+  const internal = await server.request('POST', '/query', {
+    body: { connectionId: 'dup', collection: 'c', operation: 'findOne', filter: {} }
+  });
+  assert.equal(internal.status, 500);
+  assert.equal(internal.body.code, 'INTERNAL_ERROR');
+  assert.equal(internal.text.includes('errorStack'), false);
+  assert.equal(internal.text.includes('    at '), false);
+
+  const malformed = await server.request('POST', '/query', {
+    body: '{"connectionId":', headers: { 'Content-Type': 'application/json' }
+  });
+  assert.equal(malformed.status, 400);
+  assert.equal(malformed.body.code, 'INVALID_JSON');
+
+  const unknown = await server.request('POST', '/query', {
+    body: { connectionId: 'nope', collection: 'c', operation: 'find' }
+  });
+  assert.equal(unknown.status, 404);
+  assert.equal(unknown.body.code, 'CONNECTION_NOT_FOUND');
+});
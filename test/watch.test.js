@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { loadProxy, listen, fakeConnection } = require('./helpers');
+
+const app = loadProxy({ PROXY_WATCH_HEARTBEAT_MS: '0' });
+const { internals } = app;
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Change stream falso: eventos emitidos pelo teste, watch() registra pipeline/opções
+function watchableCollection() {
+  const state = { streams: [] };
+  state.collection = {
+    watch(pipeline, options) {
+      const stream = Object.assign(new EventEmitter(), { pipeline, options, closed: false });
+      stream.close = async () => { stream.closed = true; };
+      state.streams.push(stream);
+      return stream;
+    }
+  };
+  return state;
+}
+
+// Abrir o SSE e ler eventos conforme chegam ({ id, event, data })
+async function openSse(server, path, headers = {}) {
+  const controller = new AbortController();
+  const response = await fetch(server.baseUrl + path, { headers, signal: controller.signal });
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  async function nextEvent() {
+    while (!buffer.includes('\n\n')) {
+      const { value, done } = await reader.read();
+      if (done) return null;
+      buffer += decoder.decode(value, { stream: true });
+    }
+    const frame = buffer.slice(0, buffer.indexOf('\n\n'));
+    buffer = buffer.slice(buffer.indexOf('\n\n') + 2);
+    const event = {};
+    for (const line of frame.split('\n')) {
+      const [field, ...rest] = line.split(': ');
+      event[field] = rest.join(': ');
+    }
+    return event;
+  }
+
+  return { response, nextEvent, abort: () => controller.abort() };
+}
+
+async function setup(t, overrides = {}) {
+  const state = watchableCollection();
+  internals.activeConnections.set('w', fakeConnection(state.collection, overrides));
+  const server = await listen(app);
+  t.after(() => server.close());
+  return { state, server };
+}
+
+test('envia eventos SSE com o resume token como id e fecha ao desconectar', async t => {
+  const { state, server } = await setup(t);
+  const sse = await openSse(server, '/watch/w/orders?fullDocument=updateLookup&pipeline=' + encodeURIComponent('[{"$match":{"operationType":"insert"}}]'));
+
+  assert.equal(sse.response.status, 200);
+  assert.match(sse.response.headers.get('content-type'), /^text\/event-stream/);
+
+  const ready = await sse.nextEvent();
+  assert.equal(ready.event, 'ready');
+  assert.equal(JSON.parse(ready.data).resumedAfter, null);
+
+  const [stream] = state.streams;
+  assert.deepEqual(stream.pipeline, [{ $match: { operationType: 'insert' } }]);
+  assert.deepEqual(stream.options, { fullDocument: 'updateLookup' });
+  assert.equal(internals.activeChangeStreams.size, 1);
+
+  stream.emit('change', { _id: { _data: 'token-1' }, operationType: 'insert', fullDocument: { a: 1 } });
+  const change = await sse.nextEvent();
+  assert.equal(change.id, 'token-1');
+  assert.equal(change.event, 'insert');
+  assert.deepEqual(JSON.parse(change.data).fullDocument, { a: 1 });
+
+  sse.abort();
+  for (let attempt = 0; attempt < 50 && !stream.closed; attempt++) await delay(10);
+  assert.equal(stream.closed, true);
+  assert.equal(internals.activeChangeStreams.size, 0);
+});
+
+test('Last-Event-ID retoma com resumeAfter', async t => {
+  const { state, server } = await setup(t);
+  const sse = await openSse(server, '/watch/w/orders', { 'Last-Event-ID': 'token-9' });
+
+  const ready = await sse.nextEvent();
+  assert.equal(JSON.parse(ready.data).resumedAfter, 'token-9');
+  assert.deepEqual(state.streams[0].options, { resumeAfter: { _data: 'token-9' } });
+  sse.abort();
+});
+
+test('erro do change stream vira evento error e encerra o stream', async t => {
+  const { state, server } = await setup(t);
+  const sse = await openSse(server, '/watch/w/orders');
+  await sse.nextEvent();
+
+  state.streams[0].emit('error', Object.assign(new Error('resume token expirado'), { name: 'MongoServerError', code: 286 }));
+  const error = await sse.nextEvent();
+  assert.equal(error.event, 'error');
+  assert.equal(JSON.parse(error.data).code, 'RESUME_TOKEN_EXPIRED');
+  assert.equal(await sse.nextEvent(), null);
+  assert.equal(state.streams[0].closed, true);
+});
+
+test('escopo de tenant filtra pelo fullDocument com updateLookup', async t => {
+  const { state, server } = await setup(t, { tenant: [{ bindings: { tenantId: 't1' }, collections: '*' }] });
+  const sse = await openSse(server, '/watch/w/orders');
+  await sse.nextEvent();
+
+  assert.deepEqual(state.streams[0].pipeline, [{ $match: { 'fullDocument.tenantId': 't1' } }]);
+  assert.equal(state.streams[0].options.fullDocument, 'updateLookup');
+  sse.abort();
+});
+
+test('parâmetros inválidos respondem 400 antes de abrir o stream', async t => {
+  const { state, server } = await setup(t);
+  const response = await server.request('GET', '/watch/w/orders?fullDocument=sempre');
+  assert.equal(response.status, 400);
+  assert.equal(state.streams.length, 0);
+});
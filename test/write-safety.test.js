@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProxy, listen, fakeConnection } = require('./helpers');
+
+const app = loadProxy({ PROXY_MAX_AFFECTED_DOCUMENTS: '1000' });
+const { internals } = app;
+
+// Collection com countDocuments fixo e escritas registradas
+function countingCollection(matched) {
+  const writes = [];
+  const write = name => async (...args) => {
+    writes.push({ name, args });
+    return { acknowledged: true, matchedCount: matched, modifiedCount: matched, deletedCount: matched };
+  };
+  return {
+    writes,
+    collection: {
+      async countDocuments() {
+        return matched;
+      },
+      updateMany: write('updateMany'),
+      deleteMany: write('deleteMany'),
+      deleteOne: write('deleteOne'),
+      async bulkWrite(models) {
+        writes.push({ name: 'bulkWrite', args: [models] });
+        return { insertedCount: models.length };
+      }
+    }
+  };
+}
+
+async function setup(t, matched, safety = {}) {
+  const state = countingCollection(matched);
+  internals.activeConnections.set('safe', fakeConnection(state.collection, { safety }));
+  const server = await listen(app);
+  t.after(() => server.close());
+  state.query = body => server.request('POST', '/query', { body: { connectionId: 'safe', collection: 'orders', ...body } });
+  state.request = server.request;
+  return state;
+}
+
+test('isEmptyFilter trata ausente e {} como vazios', () => {
+  assert.equal(internals.isEmptyFilter(undefined), true);
+  assert.equal(internals.isEmptyFilter({}), true);
+  assert.equal(internals.isEmptyFilter({ a: 1 }), false);
+});
+
+test('updateMany/deleteMany com filtro vazio exigem confirmAll', async t => {
+  const state = await setup(t, 3);
+
+  const refused = await state.query({ operation: 'deleteMany', filter: {} });
+  assert.equal(refused.status, 400);
+  assert.equal(refused.body.code, 'EMPTY_FILTER_REQUIRES_CONFIRMATION');
+  assert.equal(state.writes.length, 0);
+
+  const confirmed = await state.query({ operation: 'deleteMany', filter: {}, confirmAll: true });
+  assert.equal(confirmed.status, 200);
+  assert.equal(state.writes[0].name, 'deleteMany');
+});
+
+test('maxAffected usa o menor limite entre global, conexão e request', async t => {
+  const state = await setup(t, 50, { maxAffected: 100 });
+
+  const blocked = await state.query({ operation: 'updateMany', filter: { a: 1 }, document: { $set: { b: 1 } }, maxAffected: 10 });
+  assert.equal(blocked.status, 409);
+  assert.equal(blocked.body.code, 'MAX_AFFECTED_EXCEEDED');
+  assert.equal(blocked.body.affected, 50);
+  assert.equal(blocked.body.limit, 10);
+
+  const allowed = await state.query({ operation: 'updateMany', filter: { a: 1 }, document: { $set: { b: 1 } } });
+  assert.equal(allowed.status, 200);
+  assert.equal(state.writes.length, 1);
+});
+
+test('limite da conexão vale mesmo sem maxAffected no request', async t => {
+  const state = await setup(t, 50, { maxAffected: 20 });
+
+  const blocked = await state.query({ operation: 'deleteMany', filter: { a: 1 } });
+  assert.equal(blocked.status, 409);
+  assert.equal(blocked.body.limit, 20);
+});
+
+test('dryRun conta sem escrever; deleteOne conta no máximo 1', async t => {
+  const state = await setup(t, 7);
+
+  const dryRun = await state.query({ operation: 'deleteMany', filter: { a: 1 }, dryRun: true });
+  assert.equal(dryRun.status, 200);
+  assert.equal(dryRun.body.dryRun, true);
+  assert.equal(dryRun.body.affected, 7);
+
+  const single = await state.query({ operation: 'deleteOne', filter: { a: 1 }, dryRun: true });
+  assert.equal(single.body.affected, 1);
+  assert.equal(state.writes.length, 0);
+});
+
+test('conexão somente leitura recusa escritas e $out/$merge', async t => {
+  const state = await setup(t, 1, { readOnly: true });
+
+  const write = await state.query({ operation: 'deleteOne', filter: { a: 1 } });
+  assert.equal(write.status, 403);
+  assert.equal(write.body.code, 'READ_ONLY_CONNECTION');
+
+  const out = await state.query({ operation: 'aggregate', pipeline: [{ $match: {} }, { $out: 'copy' }] });
+  assert.equal(out.status, 403);
+});
+
+test('/import segue readOnly, maxAffected e dryRun', async t => {
+  const state = await setup(t, 2, { maxAffected: 1 });
+  const ndjson = '{"sku":"a"}\n{"sku":"b"}\n{"sku":"c"}\n';
+  const headers = { 'Content-Type': 'application/x-ndjson' };
+
+  const upsert = await state.request('POST', '/import/safe/orders?mode=upsert&key=sku', { body: ndjson, headers });
+  assert.equal(upsert.status, 409);
+  assert.equal(upsert.body.code, 'MAX_AFFECTED_EXCEEDED');
+
+  const insert = await state.request('POST', '/import/safe/orders?maxAffected=5', { body: ndjson, headers });
+  assert.equal(insert.status, 409);
+  assert.equal(state.writes.length, 0);
+
+  internals.activeConnections.get('safe').safety = {};
+  const dryRun = await state.request('POST', '/import/safe/orders?mode=upsert&key=sku&dryRun=true', { body: ndjson, headers });
+  assert.equal(dryRun.status, 200);
+  assert.equal(dryRun.body.dryRun, true);
+  assert.equal(dryRun.body.affected, 2);
+  assert.equal(state.writes.length, 0);
+
+  internals.activeConnections.get('safe').safety = { readOnly: true };
+  const readOnly = await state.request('POST', '/import/safe/orders', { body: ndjson, headers });
+  assert.equal(readOnly.status, 403);
+});